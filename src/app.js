@@ -12,6 +12,9 @@ const configRoutes = require("./routes/configRoutes");
 const syncRoutes = require("./routes/syncRoutes");
 const translationRoutes = require("./routes/translationRoutes");
 const imageSearchRoutes = require("./routes/imageSearchRoutes");
+const synonymRoutes = require("./routes/synonymRoutes");
+const merchandisingRoutes = require("./routes/merchandisingRoutes");
+const graphqlRoutes = require("./routes/graphqlRoutes");
 const oauthCallbackRouter = require("./routes/oauthCallback");
 const webhookRouter = require("./routes/webhookRoutes");
 
@@ -53,6 +56,9 @@ const setupRoutes = () => {
   app.use("/api/sync", syncRoutes);
   app.use("/api/translate", translationRoutes);
   app.use("/api/image-search", imageSearchRoutes);
+  app.use("/api/synonyms", synonymRoutes);
+  app.use("/api/merchandising", merchandisingRoutes);
+  app.use("/graphql", graphqlRoutes);
   app.use("/", oauthCallbackRouter);
   app.use("/", webhookRouter);
 
@@ -35,7 +35,7 @@ const config = {
     gemini: {
       apiKey: process.env.GEMINI_API_KEY,
       baseUrl: "https://generativelanguage.googleapis.com/v1beta",
-      model: "gemini-pro",
+      model: "gemini-2.0-flash",
     },
   },
 
@@ -45,6 +45,107 @@ const config = {
     defaultRerankTopK: 20,
     similarityThreshold: 0.7,
     batchSize: 100,
+    candidateThreshold: 0.15,
+    maxIndexedTextLength: 40000,
+    defaultMode: "vector",
+    hybrid: {
+      rrfK: 60,
+      vectorWeight: 1,
+      keywordWeight: 1,
+      keywordIndexTtlMs: 5 * 60 * 1000,
+    },
+    facets: {
+      defaultSize: 10,
+      maxSize: 50,
+      candidatePool: 100,
+    },
+    snippets: {
+      preTag: "<em>",
+      postTag: "</em>",
+      maxSnippets: 2,
+      maxSnippetsLimit: 5,
+      fragmentSize: 160,
+    },
+    suggest: {
+      defaultLimit: 8,
+      maxLimit: 20,
+      minPrefixLength: 2,
+      recencyHalfLifeDays: 7,
+    },
+    spelling: {
+      enabled: true,
+      minWordLength: 3,
+      shortWordLength: 4,
+    },
+    synonyms: {
+      cacheTtlMs: 60 * 1000,
+    },
+    merchandising: {
+      cacheTtlMs: 60 * 1000,
+    },
+    settingsCacheTtlMs: 60 * 1000,
+    crossLingual: {
+      enabled: false,
+    },
+    similar: {
+      defaultTopK: 5,
+      rerankQueryLength: 1000,
+    },
+    batch: {
+      maxQueries: 10,
+    },
+    queryUnderstanding: {
+      enabled: false,
+      maxFields: 40,
+      cacheTtlMs: 5 * 60 * 1000,
+    },
+    sessions: {
+      maxTurns: 20,
+      contextTurns: 4,
+      resultsPerTurn: 3,
+    },
+    textToImage: {
+      candidatePool: 50,
+      visualWeight: 1,
+      metadataWeight: 1,
+    },
+    unified: {
+      weights: {
+        text: 1,
+        image: 1,
+      },
+    },
+    answer: {
+      passages: 5,
+      maxPassages: 10,
+      maxPassageLength: 1500,
+      fragmentsPerPassage: 3,
+      minConfidence: 0.3,
+      temperature: 0.2,
+    },
+    fallback: {
+      enabled: true,
+      strategies: ["relaxThreshold", "dropFilters", "rewriteQuery", "popular"],
+      relaxedThreshold: 0.1,
+      keepFilters: [],
+      popularLookbackDays: 30,
+      popularPoolSize: 100,
+    },
+    filters: {
+      maxDepth: 4,
+      maxListValues: 100,
+      knownFieldsCacheTtlMs: 5 * 60 * 1000,
+    },
+    scoring: {
+      recency: {
+        enabled: false,
+        field: "updated_at",
+        halfLifeDays: 90,
+        weight: 0.3,
+      },
+      fieldBoosts: [],
+      contentTypeWeights: {},
+    },
   },
 
   cache: {
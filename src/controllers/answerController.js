@@ -0,0 +1,149 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const answerService = require('../services/answerService');
+const config = require('../config');
+const {
+  parseSemanticSearchOptions,
+  rankSemanticSearch,
+} = require('./textSearchController');
+const { logSearch } = require('../utils/searchHelpers');
+
+const REFUSALS = {
+  low_confidence: 'No content relevant enough to answer this question was found.',
+  not_in_sources: 'The most relevant content does not answer this question.',
+  ungrounded: 'The generated answer could not be tied to any source.',
+};
+
+// Entries with no fragment matching the question lexically (purely semantic
+// hits) are passed from the start of their text.
+const passageText = (result) => {
+  const matched = (result.snippets || []).filter((snippet) => snippet.matched);
+  return matched.length > 0
+    ? matched.map((snippet) => snippet.text).join('\n…\n')
+    : result.text;
+};
+
+// Answers a question from the top passages of the semantic search pipeline.
+// The top rerank score stands in for retrieval confidence; below
+// config.search.answer.minConfidence the question is refused without calling
+// Gemini. Passages without a rerank score (reranking failed or came from the
+// popular-entries fallback) count as zero confidence.
+const answerQuestion = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const environment = req.query.environment || 'development';
+  const stackApiKey = req.stackApiKey;
+  const { query, passages = config.search.answer.passages, ...searchOptions } = req.body;
+
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    throw new AppError('Query must be a non-empty string', 400);
+  }
+
+  if (query.length > config.validation.maxQueryLength) {
+    throw new AppError(
+      `Query cannot exceed ${config.validation.maxQueryLength} characters`,
+      400
+    );
+  }
+
+  const passageCount = parseInt(passages);
+  if (Number.isNaN(passageCount) || passageCount < 1 || passageCount > config.search.answer.maxPassages) {
+    throw new AppError(
+      `passages must be between 1 and ${config.search.answer.maxPassages}`,
+      400
+    );
+  }
+
+  const options = parseSemanticSearchOptions({
+    ...searchOptions,
+    query,
+    topK: passageCount,
+    cursor: undefined,
+    facets: undefined,
+    // Plain-text fragments of the entry's indexed fields that best match the
+    // question, so long entries are quoted where they answer it.
+    snippets: {
+      preTag: '',
+      postTag: '',
+      escapeHtml: false,
+      maxSnippets: config.search.answer.fragmentsPerPassage,
+      fragmentSize: Math.floor(
+        config.search.answer.maxPassageLength / config.search.answer.fragmentsPerPassage
+      ),
+    },
+  });
+
+  try {
+    const ranked = await rankSemanticSearch(options, stackApiKey);
+    const sources = ranked.page
+      .filter((result) => result.type !== 'image' && result.text)
+      .map((result) => ({
+        entryUid: result.entryUid || result.id,
+        contentType: result.contentType,
+        title: result.title,
+        locale: result.locale,
+        text: passageText(result),
+        rerankScore: result.rerankScore,
+      }));
+    const confidence = sources.reduce(
+      (highest, source) => Math.max(highest, source.rerankScore ?? 0),
+      0
+    );
+
+    const outcome = confidence >= config.search.answer.minConfidence
+      ? await answerService.generateAnswer(query, sources)
+      : { answerable: false, reason: 'low_confidence' };
+
+    const responseTime = Date.now() - startTime;
+    const metadata = {
+      passages: sources.length,
+      confidence,
+      minConfidence: config.search.answer.minConfidence,
+      searchTime: responseTime,
+      environment,
+      mode: options.mode,
+      ...ranked.metadata,
+    };
+
+    await logSearch(
+      req,
+      query,
+      outcome.answerable && !ranked.metadata.fallback?.strategy ? outcome.citations.length : 0,
+      options.filters,
+      responseTime,
+      true
+    );
+
+    if (!outcome.answerable) {
+      return res.json({
+        success: true,
+        query,
+        answered: false,
+        answer: null,
+        reason: outcome.reason,
+        message: REFUSALS[outcome.reason],
+        citations: [],
+        searchType: 'answer',
+        metadata,
+      });
+    }
+
+    res.json({
+      success: true,
+      query,
+      answered: true,
+      answer: outcome.answer,
+      citations: outcome.citations,
+      searchType: 'answer',
+      metadata: {
+        ...metadata,
+        model: config.apis.gemini.model,
+      },
+    });
+  } catch (error) {
+    await logSearch(req, query, 0, options.filters, Date.now() - startTime, false, error.message);
+    throw error;
+  }
+});
+
+module.exports = {
+  answerQuestion,
+};
@@ -1,5 +1,7 @@
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const contentstackService = require('../services/contentstackService');
+const searchSettingsService = require('../services/searchSettingsService');
+const { validateScoringConfig } = require('../utils/scoring');
 
 
 const getSystemConfig = asyncHandler(async (req, res) => {
@@ -93,9 +95,48 @@ const getStackConfig = asyncHandler(async (req, res) => {
   }
 });
 
+const getScoringConfig = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const scoring = await searchSettingsService.getScoringSettings(stackApiKey);
+
+  res.json({
+    success: true,
+    stackApiKey,
+    scoring,
+  });
+});
+
+const updateScoringConfig = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const { scoring } = req.body;
+
+  if (!scoring) {
+    throw new AppError('Scoring configuration is required', 400);
+  }
+
+  validateScoringConfig(scoring);
+
+  try {
+    const updated = await searchSettingsService.updateScoringSettings(stackApiKey, scoring);
+
+    res.json({
+      success: true,
+      message: 'Scoring configuration updated successfully',
+      stackApiKey,
+      scoring: updated,
+    });
+
+  } catch (error) {
+    console.error('Failed to update scoring config', { error: error.message, stackApiKey });
+    throw error;
+  }
+});
+
 module.exports = {
   getSystemConfig,
   updateSystemConfig,
   getContentTypes,
   getStackConfig,
+  getScoringConfig,
+  updateScoringConfig,
 };
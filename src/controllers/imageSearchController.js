@@ -2,7 +2,9 @@ const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const imageEmbeddingService = require('../services/imageEmbeddingService');
 const assetService = require('../services/assetService');
 const vectorSearchService = require('../services/vectorSearchService');
+const imageSearchService = require('../services/imageSearchService');
 const { getValidAccessToken } = require('../services/tokenService');
+const config = require('../config');
 
 const indexImages = asyncHandler(async (req, res) => {
   const stackApiKey = req.stackApiKey;
@@ -33,7 +35,8 @@ const indexImages = asyncHandler(async (req, res) => {
       total: imageAssets.length,
       indexed: 0,
       failed: 0,
-      errors: []
+      errors: [],
+      warnings: []
     };
 
     // Process images in batches
@@ -43,28 +46,15 @@ const indexImages = asyncHandler(async (req, res) => {
       
       const batchPromises = batch.map(async (asset) => {
         try {
-          // Generate embedding for image URL
-          const embeddingResult = await imageEmbeddingService.embedImage(asset.url);
-          
-          // Create minimal metadata for Pinecone
-          const metadata = {
-            uid: asset.uid,
-            title: asset.title || asset.filename,
-            url: asset.url,
-            type: 'image',
-            stackApiKey
-          };
-
-          // Store in Pinecone with image namespace
-          await vectorSearchService.indexEntry(
-            `image_${asset.uid}`,
-            asset.title || asset.filename, // text description
-            embeddingResult.embedding,
-            metadata,
-            stackApiKey
-          );
+          const { textError } = await imageSearchService.indexAsset(asset, stackApiKey);
 
           results.indexed++;
+          if (textError) {
+            results.warnings.push({
+              uid: asset.uid,
+              warning: `Descriptive text not indexed: ${textError}`
+            });
+          }
           return { success: true, uid: asset.uid };
 
         } catch (error) {
@@ -110,16 +100,13 @@ const searchImages = asyncHandler(async (req, res) => {
     const embeddingResult = await imageEmbeddingService.embedImage(imageUrl);
     const queryEmbedding = embeddingResult.embedding;
 
-    // Search in Pinecone image namespace with more permissive threshold
-    const searchResults = await vectorSearchService.search(
+    const results = await imageSearchService.searchByEmbedding(
       queryEmbedding,
       parseInt(limit),
-      { stackApiKey, type: 'image' },
-      0.1, // Lowered from 0.4 to 0.1 for more permissive matching
       stackApiKey
     );
 
-    if (!searchResults || !Array.isArray(searchResults) || searchResults.length === 0) {
+    if (results.length === 0) {
       return res.json({
         success: true,
         imageUrl: imageUrl,
@@ -130,15 +117,6 @@ const searchImages = asyncHandler(async (req, res) => {
       });
     }
 
-    const results = searchResults.map(match => ({
-      uid: match.uid,
-      title: match.title,
-      url: match.url,
-      similarity: match.score,
-      type: 'image',
-      contentstack_url: `https://eu-app.contentstack.com/#!/stack/${stackApiKey}/assets/${match.uid}?branch=main`
-    }));
-
     res.json({
       success: true,
       imageUrl: imageUrl,
@@ -153,6 +131,42 @@ const searchImages = asyncHandler(async (req, res) => {
   }
 });
 
+const searchImagesByText = asyncHandler(async (req, res) => {
+  const { query, limit = 5 } = req.body;
+  const stackApiKey = req.stackApiKey;
+
+  if (!stackApiKey) {
+    throw new AppError('Stack API key is required', 400);
+  }
+
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    throw new AppError('Query must be a non-empty string', 400);
+  }
+
+  if (query.length > config.validation.maxQueryLength) {
+    throw new AppError(
+      `Query cannot exceed ${config.validation.maxQueryLength} characters`,
+      400
+    );
+  }
+
+  const parsedLimit = parseInt(limit);
+  if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > config.search.maxTopK) {
+    throw new AppError(`limit must be between 1 and ${config.search.maxTopK}`, 400);
+  }
+
+  const results = await imageSearchService.searchByText(query, parsedLimit, stackApiKey);
+
+  res.json({
+    success: true,
+    query,
+    results,
+    total: results.length,
+    ...(results.length === 0 ? { message: 'No image matches found' } : {}),
+    searchType: 'text-to-image'
+  });
+});
+
 const searchImageByUpload = asyncHandler(async (req, res) => {
   const { limit = 5 } = req.body;
   const stackApiKey = req.stackApiKey;
@@ -182,22 +196,19 @@ const searchImageByUpload = asyncHandler(async (req, res) => {
 
     console.log('Embedding generated, searching...');
 
-    // Search in Pinecone image namespace with lower similarity threshold
-    const searchResults = await vectorSearchService.search(
+    const results = await imageSearchService.searchByEmbedding(
       embeddingResult.embedding,
       Math.max(parseInt(limit), 5), // Ensure minimum 5 results
-      { stackApiKey, type: 'image' },
-      0.1, // Keep low threshold for uploaded images
       stackApiKey
     );
 
-    console.log(`Upload search results found: ${searchResults?.length || 0}`);
+    console.log(`Upload search results found: ${results.length}`);
 
     // Create base64 image preview for response
     const base64Image = req.file.buffer.toString('base64');
     const imagePreview = `data:${req.file.mimetype};base64,${base64Image}`;
 
-    if (!searchResults || !Array.isArray(searchResults) || searchResults.length === 0) {
+    if (results.length === 0) {
       console.log('No results found. Possible reasons:');
       console.log('1. No images indexed in Pinecone');
       console.log('2. Search threshold too strict (now using 0.1)');
@@ -220,15 +231,6 @@ const searchImageByUpload = asyncHandler(async (req, res) => {
       });
     }
 
-    const results = searchResults.map(match => ({
-      uid: match.uid,
-      title: match.title,
-      url: match.url,
-      similarity: match.score,
-      type: 'image',
-      contentstack_url: `https://eu-app.contentstack.com/#!/stack/${stackApiKey}/assets/${match.uid}?branch=main`
-    }));
-
     res.json({
       success: true,
       query: 'Uploaded image similarity search',
@@ -281,6 +283,7 @@ const getImageStats = asyncHandler(async (req, res) => {
 module.exports = {
   indexImages,
   searchImages,
+  searchImagesByText,
   searchImageByUpload,
   getImageStats
 };
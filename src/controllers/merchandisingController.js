@@ -0,0 +1,101 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const MerchandisingRule = require('../models/MerchandisingRule');
+const merchandisingService = require('../services/merchandisingService');
+
+const EDITABLE_FIELDS = ['name', 'condition', 'actions', 'priority', 'startsAt', 'endsAt', 'enabled'];
+
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+const findRuleForStack = async (id, stackApiKey) => {
+  const rule = await MerchandisingRule.findOne({ _id: id, stackApiKey });
+  if (!rule) {
+    throw new AppError('Merchandising rule not found', 404);
+  }
+  return rule;
+};
+
+const saveRule = async (rule, previousCondition = null) => {
+  await rule.validate();
+  await merchandisingService.prepareRule(rule, previousCondition);
+  await rule.save();
+  merchandisingService.invalidate(rule.stackApiKey);
+
+  const saved = rule.toObject();
+  delete saved.queryEmbedding;
+  return saved;
+};
+
+const listRules = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const rules = await MerchandisingRule.find({ stackApiKey })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    rules,
+    count: rules.length,
+  });
+});
+
+const getRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleForStack(req.params.id, req.stackApiKey);
+
+  res.json({
+    success: true,
+    rule,
+  });
+});
+
+const createRule = asyncHandler(async (req, res) => {
+  const rule = new MerchandisingRule({
+    ...pickEditableFields(req.body),
+    stackApiKey: req.stackApiKey,
+  });
+
+  res.status(201).json({
+    success: true,
+    rule: await saveRule(rule),
+  });
+});
+
+const updateRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleForStack(req.params.id, req.stackApiKey);
+  const previousCondition = {
+    matchType: rule.condition.matchType,
+    query: rule.condition.query,
+  };
+  rule.set(pickEditableFields(req.body));
+
+  res.json({
+    success: true,
+    rule: await saveRule(rule, previousCondition),
+  });
+});
+
+const deleteRule = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const rule = await findRuleForStack(req.params.id, stackApiKey);
+
+  await rule.deleteOne();
+  merchandisingService.invalidate(stackApiKey);
+
+  res.json({
+    success: true,
+    message: `Merchandising rule deleted: ${rule._id}`,
+  });
+});
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -1,5 +1,6 @@
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const vectorSearchService = require('../services/vectorSearchService');
+const cacheService = require('../services/cacheService');
 const SearchLog = require('../models/SearchLog');
 
 
@@ -51,14 +52,15 @@ const getSearchStats = asyncHandler(async (req, res) => {
       capabilities: {
         textSearch: true,
         imageSearch: false,
-        hybridSearch: false,
+        hybridSearch: true,
         uploadSearch: false
       },
       indexInfo: {
         totalVectors: stats?.totalVectors || 0,
         dimensions: stats?.dimensions || 1536,
         lastUpdated: stats?.lastUpdated || null
-      }
+      },
+      cache: cacheService.getStats()
     });
 
   } catch (error) {
@@ -0,0 +1,39 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const sessionService = require('../services/sessionService');
+
+const createSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.createSession(req.stackApiKey);
+
+  res.status(201).json({
+    success: true,
+    sessionId: session.sessionId,
+    createdAt: session.createdAt,
+  });
+});
+
+const getSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.getSession(req.stackApiKey, req.params.sessionId);
+
+  res.json({
+    success: true,
+    sessionId: session.sessionId,
+    turns: session.turns,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  });
+});
+
+const deleteSession = asyncHandler(async (req, res) => {
+  await sessionService.deleteSession(req.stackApiKey, req.params.sessionId);
+
+  res.json({
+    success: true,
+    message: `Search session deleted: ${req.params.sessionId}`,
+  });
+});
+
+module.exports = {
+  createSession,
+  getSession,
+  deleteSession,
+};
@@ -0,0 +1,163 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const vectorSearchService = require('../services/vectorSearchService');
+const contentstackService = require('../services/contentstackService');
+const rerankerService = require('../services/rerankerService');
+const searchSettingsService = require('../services/searchSettingsService');
+const IndexedEntry = require('../models/IndexedEntry');
+const config = require('../config');
+const { buildMetadataFilters } = require('./textSearchController');
+const { applyScoring } = require('../utils/scoring');
+const {
+  parseEnrichmentOptions,
+  enrichResultsWithContentstackData,
+} = require('../utils/searchHelpers');
+
+// GET callers may send lists either repeated (fields[]=a&fields[]=b) or
+// comma separated (fields=a,b).
+const parseListParam = (value) =>
+  typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : value;
+
+const parseFilters = (filters) => {
+  if (filters === undefined || filters === '') {
+    return {};
+  }
+
+  if (typeof filters === 'string') {
+    try {
+      filters = JSON.parse(filters);
+    } catch (error) {
+      throw new AppError('filters must be an object or a JSON encoded object', 400);
+    }
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new AppError('filters must be an object or a JSON encoded object', 400);
+  }
+
+  return filters;
+};
+
+// Picks the indexed localization to compare against: the requested locale,
+// otherwise the master locale, otherwise whichever version exists. Entries
+// indexed before locales were tracked only have the bare uid as vector id.
+const findSourceVector = async (stackApiKey, entryUid, locale) => {
+  const indexed = await IndexedEntry.find({ stackApiKey, entryUid, type: 'text' })
+    .select('vectorId locale title text')
+    .lean();
+
+  let source = null;
+  if (indexed.length > 0) {
+    const preferredLocale = locale || await contentstackService.fetchMasterLocale(stackApiKey);
+    source = indexed.find((entry) => entry.locale === preferredLocale) ||
+      (locale ? null : indexed[0]);
+
+    if (!source) {
+      return null;
+    }
+  }
+
+  const vectorId = source ? source.vectorId : entryUid;
+  const records = await vectorSearchService.fetchVectors([vectorId], stackApiKey);
+  const record = records[vectorId];
+
+  if (!record || !Array.isArray(record.values) || record.values.length === 0) {
+    return null;
+  }
+
+  return {
+    vectorId,
+    values: record.values,
+    locale: source?.locale || record.metadata?.locale || null,
+    title: source?.title || record.metadata?.title || '',
+    text: source?.text || record.metadata?.text || '',
+  };
+};
+
+const getSimilarEntries = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { entryUid } = req.params;
+  const { locale, filters } = req.query;
+  const environment = req.query.environment || 'development';
+  const stackApiKey = req.stackApiKey;
+  const topK = parseInt(req.query.topK || config.search.similar.defaultTopK);
+
+  if (Number.isNaN(topK) || topK < 1 || topK > config.search.maxTopK) {
+    throw new AppError(`topK must be between 1 and ${config.search.maxTopK}`, 400);
+  }
+
+  if (locale !== undefined && (typeof locale !== 'string' || !locale.trim())) {
+    throw new AppError('locale must be a non-empty string', 400);
+  }
+
+  const metadataFilters = await buildMetadataFilters(parseFilters(filters), stackApiKey);
+  const enrichment = parseEnrichmentOptions({
+    fields: parseListParam(req.query.fields),
+    includeReferences: parseListParam(req.query.includeReferences),
+  });
+
+  await vectorSearchService.setStackIndex(stackApiKey);
+
+  const source = await findSourceVector(stackApiKey, entryUid, locale);
+  if (!source) {
+    throw new AppError(
+      `Entry ${entryUid}${locale ? ` (${locale})` : ''} is not indexed`,
+      404
+    );
+  }
+
+  metadataFilters.type = 'text';
+  metadataFilters.entryUid = { $ne: entryUid };
+  if (source.locale) {
+    metadataFilters.locale = source.locale;
+  }
+
+  const candidates = (await vectorSearchService.search(
+    source.values,
+    config.search.maxTopK,
+    metadataFilters,
+    config.search.candidateThreshold,
+    stackApiKey
+  )).filter((result) => (result.entryUid || result.id) !== entryUid);
+
+  // The source entry stands in for the query; its title leads so a short
+  // excerpt still carries the subject when the body is long.
+  const rerankQuery = `${source.title}\n${source.text}`
+    .trim()
+    .substring(0, config.search.similar.rerankQueryLength);
+  const rerankedResults =
+    candidates.length > 0 && rerankQuery
+      ? await rerankerService.rerankResults(rerankQuery, candidates, candidates.length)
+      : candidates;
+
+  const scoredResults = applyScoring(
+    rerankedResults,
+    await searchSettingsService.getScoringSettings(stackApiKey)
+  );
+
+  const results = await enrichResultsWithContentstackData(
+    scoredResults.slice(0, topK),
+    stackApiKey,
+    environment,
+    enrichment
+  );
+
+  res.json({
+    success: true,
+    entryUid,
+    results,
+    count: results.length,
+    searchType: 'similar',
+    metadata: {
+      sourceVectorId: source.vectorId,
+      locale: source.locale || undefined,
+      totalCandidates: candidates.length,
+      searchTime: Date.now() - startTime,
+      environment,
+      reranked: Boolean(rerankQuery) && candidates.length > 0,
+    },
+  });
+});
+
+module.exports = {
+  getSimilarEntries,
+};
@@ -0,0 +1,44 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const suggestionService = require('../services/suggestionService');
+const config = require('../config');
+
+const getSuggestions = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const { q = '' } = req.query;
+  const limit = parseInt(req.query.limit) || config.search.suggest.defaultLimit;
+
+  if (typeof q !== 'string') {
+    throw new AppError('Query parameter q must be a string', 400);
+  }
+
+  if (q.length > config.validation.maxQueryLength) {
+    throw new AppError(
+      `Query cannot exceed ${config.validation.maxQueryLength} characters`,
+      400
+    );
+  }
+
+  if (limit < 1 || limit > config.search.suggest.maxLimit) {
+    throw new AppError(
+      `limit must be between 1 and ${config.search.suggest.maxLimit}`,
+      400
+    );
+  }
+
+  const startTime = Date.now();
+  const suggestions = await suggestionService.getSuggestions(stackApiKey, q, limit);
+
+  res.json({
+    success: true,
+    query: q,
+    suggestions,
+    count: suggestions.length,
+    metadata: {
+      responseTime: Date.now() - startTime,
+    },
+  });
+});
+
+module.exports = {
+  getSuggestions,
+};
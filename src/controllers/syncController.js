@@ -1,6 +1,7 @@
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const indexingService = require('../services/indexingService');
 const vectorSearchService = require('../services/vectorSearchService');
+const cacheService = require('../services/cacheService');
 
 const indexAllEntries = asyncHandler(async (req, res) => {
   const stackApiKey = req.stackApiKey;
@@ -45,6 +46,7 @@ const indexEntry = asyncHandler(async (req, res) => {
     const success = await indexingService.indexEntry(entry, contentType, stackApiKey);
 
     if (success) {
+      cacheService.invalidateEntry(stackApiKey, entry.uid);
       res.json({
         success: true,
         message: `Entry indexed successfully: ${entry.uid}`
@@ -64,7 +66,7 @@ const indexEntry = asyncHandler(async (req, res) => {
 
 const removeEntry = asyncHandler(async (req, res) => {
   const stackApiKey = req.stackApiKey;
-  const { entryUid } = req.body;
+  const { entryUid, locale } = req.body;
 
   if (!entryUid) {
     throw new AppError('Entry UID is required', 400);
@@ -72,9 +74,10 @@ const removeEntry = asyncHandler(async (req, res) => {
 
   try {
     await vectorSearchService.setStackIndex(stackApiKey);
-    const success = await indexingService.removeEntry(entryUid);
+    const success = await indexingService.removeEntry(entryUid, stackApiKey, locale || null);
 
     if (success) {
+      cacheService.invalidateEntry(stackApiKey, entryUid);
       res.json({
         success: true,
         message: `Entry removed from index: ${entryUid}`
@@ -103,6 +106,7 @@ const updateEntry = asyncHandler(async (req, res) => {
     const success = await indexingService.updateEntry(entry, contentType, stackApiKey);
 
     if (success) {
+      cacheService.invalidateEntry(stackApiKey, entry.uid);
       res.json({
         success: true,
         message: `Entry updated in index: ${entry.uid}`
@@ -0,0 +1,92 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const SynonymSet = require('../models/SynonymSet');
+const synonymService = require('../services/synonymService');
+
+const EDITABLE_FIELDS = ['type', 'terms', 'input', 'synonyms', 'enabled'];
+
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+const findSynonymSetForStack = async (id, stackApiKey) => {
+  const synonymSet = await SynonymSet.findOne({ _id: id, stackApiKey });
+  if (!synonymSet) {
+    throw new AppError('Synonym set not found', 404);
+  }
+  return synonymSet;
+};
+
+const listSynonymSets = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const synonymSets = await SynonymSet.find({ stackApiKey }).sort({ createdAt: -1 }).lean();
+
+  res.json({
+    success: true,
+    synonymSets,
+    count: synonymSets.length,
+  });
+});
+
+const getSynonymSet = asyncHandler(async (req, res) => {
+  const synonymSet = await findSynonymSetForStack(req.params.id, req.stackApiKey);
+
+  res.json({
+    success: true,
+    synonymSet,
+  });
+});
+
+const createSynonymSet = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const synonymSet = new SynonymSet({
+    ...pickEditableFields(req.body),
+    stackApiKey,
+  });
+
+  await synonymSet.save();
+  synonymService.invalidate(stackApiKey);
+
+  res.status(201).json({
+    success: true,
+    synonymSet,
+  });
+});
+
+const updateSynonymSet = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const synonymSet = await findSynonymSetForStack(req.params.id, stackApiKey);
+
+  synonymSet.set(pickEditableFields(req.body));
+  await synonymSet.save();
+  synonymService.invalidate(stackApiKey);
+
+  res.json({
+    success: true,
+    synonymSet,
+  });
+});
+
+const deleteSynonymSet = asyncHandler(async (req, res) => {
+  const stackApiKey = req.stackApiKey;
+  const synonymSet = await findSynonymSetForStack(req.params.id, stackApiKey);
+
+  await synonymSet.deleteOne();
+  synonymService.invalidate(stackApiKey);
+
+  res.json({
+    success: true,
+    message: `Synonym set deleted: ${synonymSet._id}`,
+  });
+});
+
+module.exports = {
+  listSynonymSets,
+  getSynonymSet,
+  createSynonymSet,
+  updateSynonymSet,
+  deleteSynonymSet,
+};
@@ -3,113 +3,914 @@ const embeddingsService = require("../services/embeddingsService");
 const vectorSearchService = require("../services/vectorSearchService");
 const contentstackService = require("../services/contentstackService");
 const rerankerService = require("../services/rerankerService");
+const keywordSearchService = require("../services/keywordSearchService");
+const spellingService = require("../services/spellingService");
+const synonymService = require("../services/synonymService");
+const merchandisingService = require("../services/merchandisingService");
+const searchSettingsService = require("../services/searchSettingsService");
+const translationService = require("../services/translationService");
+const cacheService = require("../services/cacheService");
+const metadataFieldService = require("../services/metadataFieldService");
+const popularEntriesService = require("../services/popularEntriesService");
+const sessionService = require("../services/sessionService");
+const queryUnderstandingService = require("../services/queryUnderstandingService");
+const config = require("../config");
 const {
+  reciprocalRankFusion,
+  mergeQueryVariants,
+} = require("../utils/rankFusion");
+const { validateFacetFields, computeFacets } = require("../utils/facets");
+const { translateFilters } = require("../utils/filterDsl");
+const { attachExplanations } = require("../utils/explain");
+const {
+  validateScoringConfig,
+  mergeScoringConfig,
+  applyScoring,
+} = require("../utils/scoring");
+const {
+  createQueryFingerprint,
+  encodeCursor,
+  decodeCursor,
+} = require("../utils/searchCursor");
+const {
+  parseEnrichmentOptions,
   enrichResultsWithContentstackData,
+  attachSnippets,
+  searchLogResults,
   logSearch,
 } = require("../utils/searchHelpers");
 
-const semanticSearch = asyncHandler(async (req, res) => {
-  const startTime = Date.now();
-  const { query, topK = 5, filters = {} } = req.body;
-  const environment = req.query.environment || "development";
-  const stackApiKey = req.stackApiKey;
+const SEARCH_MODES = ["vector", "keyword", "hybrid"];
 
-  try {
-    console.log("🔍 Semantic search request", {
-      query: query.substring(0, 100),
-      topK,
-      filters,
-      environment,
-      stackApiKey,
-    });
+const retrieveCandidates = async ({
+  query,
+  mode,
+  candidateCount,
+  metadataFilters,
+  stackApiKey,
+  expandSynonyms = true,
+  queryEmbedding: precomputedEmbedding = null,
+  similarityThreshold = config.search.candidateThreshold,
+}) => {
+  const rankedLists = [];
+  let queryEmbedding = null;
+  const { expandedQuery, expansions } = expandSynonyms
+    ? await synonymService.expandQuery(stackApiKey, query)
+    : { expandedQuery: query, expansions: [] };
 
-    const vectorSearchStart = Date.now();
-    const queryEmbedding = await embeddingsService.generateTextEmbedding(
-      query,
-      "search_query"
-    );
-    console.log(`⚡ Embedding generation took: ${Date.now() - vectorSearchStart}ms`);
+  if (expansions.length > 0) {
+    console.log(`Expanded query with synonyms: "${expandedQuery}"`);
+  }
+
+  if (mode !== "keyword") {
+    const embeddingStart = Date.now();
+    queryEmbedding =
+      precomputedEmbedding ||
+      (await embeddingsService.generateTextEmbedding(expandedQuery, "search_query"));
+    console.log(`⚡ Embedding generation took: ${Date.now() - embeddingStart}ms`);
 
     if (!queryEmbedding) {
       throw new AppError("Failed to generate query embedding", 500);
     }
 
-    const metadataFilters = buildMetadataFilters(filters);
-    metadataFilters.type = 'text';
-
-    if (stackApiKey) {
-      await vectorSearchService.setStackIndex(stackApiKey);
-    }
-
     const vectorSearchTime = Date.now();
     const vectorResults = await vectorSearchService.search(
       queryEmbedding,
-      Math.floor(Math.min(topK * 1.5, 15)), 
+      candidateCount,
       metadataFilters,
-      0.15, 
+      similarityThreshold,
       stackApiKey
     );
     console.log(`⚡ Vector search took: ${Date.now() - vectorSearchTime}ms`);
 
-    console.log('Semantic search results types:', vectorResults.map(r => ({ id: r.id, type: r.type })));
+    rankedLists.push({
+      name: "vector",
+      results: vectorResults,
+      weight: config.search.hybrid.vectorWeight,
+    });
+  }
+
+  // Hybrid search degrades to vector-only when the stack has no keyword
+  // index, instead of fusing against an empty list.
+  const keywordIndexEmpty =
+    mode !== "vector" && !(await keywordSearchService.hasDocuments(stackApiKey));
+  if (keywordIndexEmpty) {
+    console.warn(`Keyword index is empty for stack ${stackApiKey}; re-index to enable keyword search`);
+  }
+
+  if (mode !== "vector" && !keywordIndexEmpty) {
+    const keywordSearchTime = Date.now();
+    const keywordResults = await keywordSearchService.search(
+      expandedQuery,
+      candidateCount,
+      metadataFilters,
+      stackApiKey
+    );
+    console.log(`⚡ Keyword search took: ${Date.now() - keywordSearchTime}ms`);
+
+    rankedLists.push({
+      name: "keyword",
+      results: keywordResults,
+      weight: config.search.hybrid.keywordWeight,
+    });
+  }
+
+  let candidates;
+  if (rankedLists.length === 1) {
+    const [{ name, results }] = rankedLists;
+    candidates = results.map((result, position) => ({
+      ...result,
+      retrievers: [name],
+      [`${name}Score`]: result.score,
+      [`${name}Rank`]: position + 1,
+    }));
+  } else {
+    // `score` stays the vector similarity, as in vector mode; the fused score
+    // is reported separately.
+    candidates = reciprocalRankFusion(rankedLists)
+      .slice(0, candidateCount)
+      .map((candidate) => ({ ...candidate, score: candidate.vectorScore ?? null }));
+  }
+
+  return {
+    candidates,
+    queryEmbedding,
+    expandedQuery,
+    synonymExpansions: expansions,
+    keywordIndexEmpty,
+  };
+};
+
+// Runs retrieval for the original query and, when present, its translation,
+// merging both candidate lists.
+const retrieveWithTranslation = async ({ translatedQuery, ...options }) => {
+  if (!translatedQuery) {
+    return retrieveCandidates(options);
+  }
+
+  const [original, translated] = await Promise.all([
+    retrieveCandidates(options),
+    retrieveCandidates({ ...options, query: translatedQuery }),
+  ]);
+
+  return {
+    ...original,
+    candidates: mergeQueryVariants([
+      { name: "original", results: original.candidates },
+      { name: "translated", results: translated.candidates },
+    ]).slice(0, options.candidateCount),
+    synonymExpansions: [
+      ...original.synonymExpansions,
+      ...translated.synonymExpansions,
+    ],
+  };
+};
+
+// Without a locale every localization of an entry can match; only the best
+// ranked one is kept so an entry appears once.
+const dedupeByEntry = (candidates) => {
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    const entryUid = candidate.entryUid || candidate.id;
+    if (seen.has(entryUid)) return false;
+    seen.add(entryUid);
+    return true;
+  });
+};
+
+// Entries that have no version in the requested locale are filled in from
+// the fallback (master) locale and flagged as such.
+const retrieveLocalized = async ({ locale, fallbackLocale = null, ...options }) => {
+  if (!locale) {
+    const retrieval = await retrieveWithTranslation(options);
+    return { ...retrieval, candidates: dedupeByEntry(retrieval.candidates) };
+  }
+
+  if (!fallbackLocale || fallbackLocale === locale) {
+    return retrieveWithTranslation(options);
+  }
+
+  const [primary, fallback] = await Promise.all([
+    retrieveWithTranslation(options),
+    retrieveWithTranslation({
+      ...options,
+      metadataFilters: { ...options.metadataFilters, locale: fallbackLocale },
+    }),
+  ]);
+
+  const covered = new Set(primary.candidates.map((candidate) => candidate.entryUid || candidate.id));
+  const fallbackCandidates = fallback.candidates
+    .filter((candidate) => !covered.has(candidate.entryUid || candidate.id))
+    .map((candidate) => ({ ...candidate, fallbackLocale: true }));
+
+  return {
+    ...primary,
+    candidates: [...primary.candidates, ...fallbackCandidates].slice(0, options.candidateCount),
+  };
+};
+
+const resolveQueryLanguage = async (stackApiKey, query, translateQuery) => {
+  try {
+    const [detectedLanguage, primaryLocale] = await Promise.all([
+      translationService.detectLanguage(query),
+      contentstackService.fetchMasterLocale(stackApiKey),
+    ]);
+    const primaryLanguage = primaryLocale.split("-")[0].toLowerCase();
+
+    let translatedQuery = null;
+    if (translateQuery && detectedLanguage && detectedLanguage !== primaryLanguage) {
+      translatedQuery = await translationService.translateContent(
+        query,
+        primaryLanguage,
+        detectedLanguage
+      );
+      console.log(`Translated query from ${detectedLanguage} to ${primaryLanguage}: "${translatedQuery}"`);
+    }
+
+    return { detectedLanguage, primaryLanguage, translatedQuery };
+  } catch (error) {
+    console.warn("Query language detection failed", { error: error.message });
+    return { detectedLanguage: null, primaryLanguage: null, translatedQuery: null };
+  }
+};
+
+// Each strategy widens the search made by the previous ones and returns the
+// widened retrieval options with the retrieval they produced, or null when
+// it does not apply to the request.
+const FALLBACK_STRATEGIES = {
+  relaxThreshold: async (options) => {
+    const similarityThreshold = config.search.fallback.relaxedThreshold;
+    if (
+      options.mode === "keyword" ||
+      similarityThreshold >= (options.similarityThreshold ?? config.search.candidateThreshold)
+    ) {
+      return null;
+    }
+
+    const relaxed = { ...options, similarityThreshold };
+    return {
+      options: relaxed,
+      retrieval: await retrieveLocalized(relaxed),
+      details: { similarityThreshold },
+    };
+  },
+
+  // Filters later in the request are taken to refine earlier ones, so they
+  // are dropped first, one at a time.
+  dropFilters: async (options, { locale }) => {
+    const keep = new Set(["type", ...config.search.fallback.keepFilters]);
+    if (locale) {
+      keep.add("locale");
+    }
+
+    const droppable = Object.keys(options.metadataFilters)
+      .filter((key) => !keep.has(key))
+      .reverse();
+    if (droppable.length === 0) {
+      return null;
+    }
+
+    const metadataFilters = { ...options.metadataFilters };
+    const droppedFilters = [];
+    let retrieval = null;
+    for (const key of droppable) {
+      delete metadataFilters[key];
+      droppedFilters.push(key);
+      retrieval = await retrieveLocalized({ ...options, metadataFilters });
+      if (retrieval.candidates.length > 0) break;
+    }
+
+    return {
+      options: { ...options, metadataFilters },
+      retrieval,
+      details: { droppedFilters },
+    };
+  },
+
+  // Tries the spelling correction unless autoCorrect already did, then a
+  // translation into the stack's primary language unless the query was
+  // already translated.
+  rewriteQuery: async (options, context) => {
+    const { query, stackApiKey, correctedQuery, translatedQuery, isForeignQuery } = context;
+    const rewrites = [];
+
+    if (!correctedQuery && !isForeignQuery) {
+      rewrites.push({
+        rewrite: "spelling",
+        resolve: async () =>
+          context.spellcheck
+            ? context.didYouMean
+            : (await suggestSpelling(stackApiKey, query))?.correctedQuery,
+      });
+    }
+    if (!translatedQuery) {
+      rewrites.push({
+        rewrite: "translation",
+        resolve: async () => (await resolveQueryLanguage(stackApiKey, query, true)).translatedQuery,
+      });
+    }
+
+    let attempt = null;
+    for (const { rewrite, resolve } of rewrites) {
+      const rewrittenQuery = await resolve();
+      if (!rewrittenQuery || rewrittenQuery === query) continue;
+
+      const rewritten = { ...options, query: rewrittenQuery, translatedQuery: null };
+      attempt = {
+        options: rewritten,
+        retrieval: await retrieveLocalized(rewritten),
+        details: { rewrite, rewrittenQuery },
+      };
+      if (attempt.retrieval.candidates.length > 0) break;
+    }
+
+    return attempt;
+  },
+
+  popular: async (options, { stackApiKey }) => {
+    const { basis, results } = await popularEntriesService.findPopularEntries(
+      stackApiKey,
+      options.metadataFilters,
+      options.candidateCount
+    );
+
+    return {
+      options,
+      retrieval: {
+        candidates: results.map((result, position) => ({
+          ...result,
+          retrievers: ["popular"],
+          popularRank: position + 1,
+        })),
+        queryEmbedding: null,
+        expandedQuery: options.query,
+        synonymExpansions: [],
+      },
+      details: { basis },
+    };
+  },
+};
+
+const parseFallbackStrategies = (fallback) => {
+  if (fallback === false) {
+    return [];
+  }
+
+  if (fallback === true) {
+    return config.search.fallback.strategies;
+  }
+
+  const names = Object.keys(FALLBACK_STRATEGIES);
+  if (!Array.isArray(fallback) || fallback.some((name) => !names.includes(name))) {
+    throw new AppError(
+      `fallback must be a boolean or a list of strategies from: ${names.join(", ")}`,
+      400
+    );
+  }
+
+  return fallback;
+};
+
+// Runs the fallback strategies in order until one finds candidates.
+// `fallback` reports the strategy that produced them (null when none did)
+// and every strategy that was tried.
+const retrieveWithFallbacks = async (strategies, retrieveOptions, context) => {
+  let options = retrieveOptions;
+  const attempted = [];
+
+  for (const strategy of strategies) {
+    const attempt = await FALLBACK_STRATEGIES[strategy](options, context);
+    if (!attempt) continue;
+
+    attempted.push(strategy);
+    options = attempt.options;
+
+    if (attempt.retrieval.candidates.length > 0) {
+      console.log(`Fallback "${strategy}" found ${attempt.retrieval.candidates.length} candidates`);
+      return {
+        retrieval: attempt.retrieval,
+        options,
+        fallback: { strategy, attempted, ...attempt.details },
+      };
+    }
+  }
+
+  return {
+    retrieval: null,
+    options,
+    fallback: attempted.length > 0 ? { strategy: null, attempted } : undefined,
+  };
+};
+
+const parseSemanticSearchOptions = (body) => {
+  const {
+    query,
+    topK = 5,
+    filters = {},
+    mode = config.search.defaultMode,
+    facets,
+    facetSize = config.search.facets.defaultSize,
+    cursor,
+    snippets = false,
+    spellcheck = config.search.spelling.enabled,
+    autoCorrect = false,
+    expandSynonyms = true,
+    merchandising = true,
+    scoring,
+    explain = false,
+    crossLingual = config.search.crossLingual.enabled,
+    translateQuery = true,
+    locale,
+    localeFallback = false,
+    fallback = config.search.fallback.enabled,
+    understandQuery = config.search.queryUnderstanding.enabled,
+    fields,
+    includeReferences,
+  } = body;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new AppError(
+      `Invalid search mode "${mode}". Expected one of: ${SEARCH_MODES.join(", ")}`,
+      400
+    );
+  }
+
+  const pageSize = parseInt(topK);
+  if (Number.isNaN(pageSize) || pageSize < 1 || pageSize > config.search.maxTopK) {
+    throw new AppError(
+      `topK must be between 1 and ${config.search.maxTopK}`,
+      400
+    );
+  }
+
+  if (locale !== undefined && (typeof locale !== "string" || !locale.trim())) {
+    throw new AppError("locale must be a non-empty string", 400);
+  }
+
+  const fallbackStrategies = parseFallbackStrategies(fallback);
+
+  // The fingerprint ties a cursor to the query that issued it and to every
+  // option that changes the ranking, so a cursor never continues a different
+  // ordering than the page it came from.
+  const fingerprint = createQueryFingerprint({
+    query,
+    filters,
+    mode,
+    locale,
+    localeFallback: Boolean(localeFallback),
+    fallback: fallbackStrategies,
+    understandQuery: Boolean(understandQuery),
+    scoring: scoring ?? null,
+    merchandising: Boolean(merchandising),
+    expandSynonyms: Boolean(expandSynonyms),
+    spellcheck: Boolean(spellcheck),
+    autoCorrect: Boolean(autoCorrect),
+    crossLingual: Boolean(crossLingual),
+    translateQuery: Boolean(translateQuery),
+  });
+  const offset = decodeCursor(cursor, fingerprint);
+
+  const facetFields = validateFacetFields(facets);
+  const parsedFacetSize = parseInt(facetSize);
+  if (
+    Number.isNaN(parsedFacetSize) ||
+    parsedFacetSize < 1 ||
+    parsedFacetSize > config.search.facets.maxSize
+  ) {
+    throw new AppError(
+      `facetSize must be between 1 and ${config.search.facets.maxSize}`,
+      400
+    );
+  }
+
+  return {
+    query,
+    filters,
+    mode,
+    pageSize,
+    offset,
+    fingerprint,
+    facetFields,
+    facetSize: parsedFacetSize,
+    snippetOptions: parseSnippetOptions(snippets),
+    scoringOverride: validateScoringConfig(scoring),
+    spellcheck,
+    autoCorrect,
+    expandSynonyms,
+    merchandising,
+    explain,
+    crossLingual,
+    translateQuery,
+    locale,
+    localeFallback,
+    fallbackStrategies,
+    understandQuery: Boolean(understandQuery),
+    enrichment: parseEnrichmentOptions({ fields, includeReferences }),
+  };
+};
+
+// Everything up to enrichment: retrieval, reranking, scoring, merchandising
+// and pagination. The page comes back with explanations and snippets
+// attached but not yet fetched from Contentstack.
+const rankSemanticSearch = async (options, stackApiKey) => {
+  const {
+    mode,
+    pageSize,
+    offset,
+    fingerprint,
+    facetFields,
+    facetSize,
+    snippetOptions,
+    scoringOverride,
+    spellcheck,
+    autoCorrect,
+    expandSynonyms,
+    merchandising,
+    explain,
+    crossLingual,
+    translateQuery,
+    locale,
+    localeFallback,
+    fallbackStrategies = [],
+    understandQuery = false,
+  } = options;
+
+  // Extracted filters feed into the same validation as the request's own.
+  const understood = understandQuery
+    ? await queryUnderstandingService.understandQuery(stackApiKey, options.query, options.filters)
+    : null;
+  const query = understood ? understood.query : options.query;
+  const filters = understood ? understood.filters : options.filters;
+
+  let metadataFilters = await buildMetadataFilters(filters, stackApiKey);
+  metadataFilters.type = 'text';
+  if (locale) {
+    metadataFilters.locale = locale;
+  }
+
+  if (stackApiKey) {
+    await vectorSearchService.setStackIndex(stackApiKey);
+  }
+
+  // Every page reranks the same fixed candidate pool, so offsets stay
+  // consistent across pages. Facets are counted over a larger pool, within
+  // what a single vector query can return.
+  const rerankPoolSize = config.search.maxTopK;
+  const candidateCount = Math.min(
+    facetFields.length > 0
+      ? Math.max(rerankPoolSize, config.search.facets.candidatePool)
+      : rerankPoolSize,
+    vectorSearchService.MAX_TOP_K
+  );
+
+  const language = crossLingual
+    ? await resolveQueryLanguage(stackApiKey, query, translateQuery)
+    : null;
+  const translatedQuery = language ? language.translatedQuery : null;
+  const fallbackLocale =
+    locale && localeFallback
+      ? await contentstackService.fetchMasterLocale(stackApiKey)
+      : null;
+
+  // The vocabulary is in the primary language, so foreign queries are
+  // not spell-checked against it.
+  const isForeignQuery =
+    language?.detectedLanguage &&
+    language.detectedLanguage !== language.primaryLanguage;
+  const spelling = spellcheck && !isForeignQuery
+    ? await suggestSpelling(stackApiKey, query)
+    : null;
+  const didYouMean = spelling ? spelling.correctedQuery : null;
 
-    if (!vectorResults || vectorResults.length === 0) {
+  let searchQuery = query;
+  let correctedQuery = null;
+  let retrieval = await retrieveLocalized({
+    query,
+    translatedQuery,
+    mode,
+    candidateCount,
+    metadataFilters,
+    stackApiKey,
+    expandSynonyms,
+    locale,
+    fallbackLocale,
+  });
+
+  if (retrieval.candidates.length === 0 && autoCorrect && didYouMean) {
+    console.log(`No results for "${query}", retrying with "${didYouMean}"`);
+    retrieval = await retrieveLocalized({
+      query: didYouMean,
+      mode,
+      candidateCount,
+      metadataFilters,
+      stackApiKey,
+      expandSynonyms,
+      locale,
+      fallbackLocale,
+    });
+    searchQuery = didYouMean;
+    correctedQuery = didYouMean;
+  }
+
+  let similarityThreshold = config.search.candidateThreshold;
+  let fallback;
+  if (retrieval.candidates.length === 0 && fallbackStrategies.length > 0) {
+    const fallbackSearch = await retrieveWithFallbacks(
+      fallbackStrategies,
+      {
+        query: searchQuery,
+        translatedQuery,
+        mode,
+        candidateCount,
+        metadataFilters,
+        stackApiKey,
+        expandSynonyms,
+        locale,
+        fallbackLocale,
+      },
+      {
+        query: searchQuery,
+        stackApiKey,
+        locale,
+        spellcheck: spellcheck && !isForeignQuery,
+        didYouMean,
+        correctedQuery,
+        translatedQuery,
+        isForeignQuery,
+      }
+    );
+    fallback = fallbackSearch.fallback;
+
+    if (fallbackSearch.retrieval) {
+      retrieval = fallbackSearch.retrieval;
+      metadataFilters = fallbackSearch.options.metadataFilters;
+      similarityThreshold = fallbackSearch.options.similarityThreshold ?? similarityThreshold;
+      if (fallback.strategy === "rewriteQuery") {
+        searchQuery = fallback.rewrittenQuery;
+        correctedQuery = fallback.rewrite === "spelling" ? searchQuery : correctedQuery;
+      }
+    }
+  }
+
+  const candidatePool = retrieval.candidates;
+  const queryMetadata = {
+    expandedQuery: retrieval.expandedQuery,
+    synonymsApplied: retrieval.synonymExpansions,
+    detectedLanguage: language ? language.detectedLanguage : undefined,
+    translatedQuery: language ? translatedQuery : undefined,
+    locale: locale || undefined,
+    fallbackLocale: fallbackLocale || undefined,
+    effectiveMode: retrieval.keywordIndexEmpty && mode === "hybrid" ? "vector" : undefined,
+    keywordIndexEmpty: retrieval.keywordIndexEmpty || undefined,
+    fallback,
+    queryUnderstanding: understood
+      ? { query, parsedFilters: understood.chips }
+      : undefined,
+  };
+  const highlightQuery = translatedQuery
+    ? `${searchQuery} ${translatedQuery}`
+    : searchQuery;
+  const candidates = candidatePool.slice(0, rerankPoolSize);
+  const facetResults =
+    facetFields.length > 0
+      ? computeFacets(candidatePool, facetFields, facetSize)
+      : undefined;
+
+  console.log('Semantic search results types:', candidates.map(r => ({ id: r.id, type: r.type, retrievers: r.retrievers })));
+
+  const processingStart = Date.now();
+  // Popular entries did not match the query, so relevance reranking would
+  // only scramble their popularity order.
+  const rerankedResults =
+    candidates.length > 0 && fallback?.strategy !== "popular"
+      ? await rerankerService.rerankResults(searchQuery, candidates, candidates.length)
+      : candidates;
+  console.log(`⚡ Reranking took: ${Date.now() - processingStart}ms`);
+
+  const scoringConfig = mergeScoringConfig(
+    await searchSettingsService.getScoringSettings(stackApiKey),
+    scoringOverride
+  );
+  const scoredResults = applyScoring(rerankedResults, scoringConfig);
+
+  // Rules see the whole reranked list so pins and burials hold across pages.
+  const matchingRules = merchandising
+    ? await merchandisingService.findMatchingRules(
+        stackApiKey,
+        searchQuery,
+        retrieval.expandedQuery === searchQuery ? retrieval.queryEmbedding : null
+      )
+    : [];
+  const { results: rankedResults, appliedRules } =
+    await merchandisingService.applyRules(scoredResults, matchingRules, {
+      stackApiKey,
+      metadataFilters,
+    });
+
+  const pageResults = rankedResults.slice(offset, offset + pageSize);
+  const nextOffset = offset + pageSize;
+  const nextCursor =
+    nextOffset < rankedResults.length
+      ? encodeCursor(nextOffset, fingerprint)
+      : null;
+
+  const explainedPage = explain
+    ? attachExplanations(pageResults, offset, {
+        query: highlightQuery,
+        similarityThreshold,
+        maxIndexedTextLength: config.search.maxIndexedTextLength,
+      })
+    : pageResults;
+
+  const page = snippetOptions && explainedPage.length > 0
+    ? await attachSnippets(explainedPage, highlightQuery, stackApiKey, snippetOptions)
+    : explainedPage;
+
+  return {
+    page,
+    totalCandidates: rankedResults.length,
+    nextCursor,
+    facets: facetResults,
+    didYouMean,
+    correctedQuery,
+    metadata: {
+      ...queryMetadata,
+      rulesApplied: appliedRules,
+    },
+    explain: explain
+      ? {
+          searchQuery,
+          expandedQuery: retrieval.expandedQuery,
+          mode,
+          similarityThreshold,
+          candidatePoolSize: candidatePool.length,
+          rerankedCount: rerankedResults.length,
+          metadataFilters,
+          scoring: scoringConfig,
+        }
+      : undefined,
+  };
+};
+
+const logSemanticSearchRequest = (options, environment, stackApiKey) => {
+  console.log("🔍 Semantic search request", {
+    query: options.query.substring(0, 100),
+    topK: options.pageSize,
+    offset: options.offset,
+    filters: options.filters,
+    mode: options.mode,
+    locale: options.locale,
+    environment,
+    stackApiKey,
+  });
+};
+
+// A request with a sessionId is a turn of a conversational search: its query
+// may be a follow-up and is searched as rewritten by sessionService.
+const resolveSessionSearch = async (body, stackApiKey) => {
+  const { sessionId, ...searchBody } = body;
+  if (sessionId === undefined) {
+    return { searchBody, session: null };
+  }
+
+  const session = await sessionService.resolveQuery(
+    stackApiKey,
+    sessionId,
+    searchBody.query,
+    searchBody.cursor
+  );
+  return { searchBody: { ...searchBody, query: session.searchQuery }, session };
+};
+
+const withSessionFields = (payload, session) =>
+  session
+    ? {
+        ...payload,
+        query: session.query,
+        rewrittenQuery: session.rewrittenQuery,
+        sessionId: session.sessionId,
+      }
+    : payload;
+
+const semanticSearch = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const environment = req.query.environment || "development";
+  const stackApiKey = req.stackApiKey;
+  const { searchBody, session } = await resolveSessionSearch(req.body, stackApiKey);
+  const options = parseSemanticSearchOptions(searchBody);
+  const { query, filters, mode, offset } = options;
+
+  // Result pages are cached per stack and environment for the exact request
+  // body, with session follow-ups keyed by their rewritten query; entry and
+  // asset webhooks drop a stack's pages.
+  const cacheKey = `${stackApiKey}:${environment}:${createQueryFingerprint(searchBody)}`;
+  const cached = cacheService.searchResults.get(cacheKey);
+  if (cached) {
+    const responseTime = Date.now() - startTime;
+    const logged = searchLogResults(cached.results, cached.metadata.fallback);
+    await logSearch(
+      req,
+      query,
+      logged.count,
+      filters,
+      responseTime,
+      true,
+      null,
+      logged.entryUids
+    );
+    await sessionService.recordTurn(stackApiKey, session, cached.results);
+
+    return res.json(withSessionFields({
+      ...cached,
+      metadata: { ...cached.metadata, searchTime: responseTime, cached: true },
+    }, session));
+  }
+
+  // A page with results that failed to load from Contentstack (e.g. rate
+  // limited) is not cached, so the gap is not served for the whole TTL.
+  const respond = async (payload, { cacheable = true } = {}) => {
+    if (cacheable) {
+      cacheService.searchResults.set(cacheKey, payload);
+    }
+    await sessionService.recordTurn(stackApiKey, session, payload.results);
+    return res.json(withSessionFields(payload, session));
+  };
+
+  try {
+    logSemanticSearchRequest(options, environment, stackApiKey);
+
+    const ranked = await rankSemanticSearch(options, stackApiKey);
+
+    if (ranked.page.length === 0) {
       await logSearch(req, query, 0, filters, Date.now() - startTime, true);
 
-      return res.json({
+      return respond({
         success: true,
         query,
         results: [],
         count: 0,
+        facets: ranked.facets,
+        nextCursor: null,
+        didYouMean: ranked.didYouMean,
+        correctedQuery: ranked.correctedQuery,
         message: "No matching entries found.",
         metadata: {
           totalResults: 0,
+          totalCandidates: ranked.totalCandidates,
+          offset,
           searchTime: Date.now() - startTime,
           environment,
+          mode,
+          ...ranked.metadata,
         },
       });
     }
 
-    const processingStart = Date.now();
-    const [rerankedResults, partialEnrichment] = await Promise.all([
-      rerankerService.rerankResults(query, vectorResults, topK),
- 
-      Promise.resolve(vectorResults) 
-    ]);
-    console.log(`⚡ Reranking took: ${Date.now() - processingStart}ms`);
-
     const enrichmentStart = Date.now();
     const fullResults = await enrichResultsWithContentstackData(
-      rerankedResults,
+      ranked.page,
       stackApiKey,
-      environment
+      environment,
+      options.enrichment
     );
     
     const textOnlyResults = fullResults.filter(result => result.type !== 'image');
     const responseTime = Date.now() - startTime;
+    const logged = searchLogResults(textOnlyResults, ranked.metadata.fallback);
 
     await logSearch(
       req,
       query,
-      textOnlyResults.length,
+      logged.count,
       filters,
       responseTime,
-      true
+      true,
+      null,
+      logged.entryUids
     );
 
-    return res.json({
+    return respond({
       success: true,
       query,
       results: textOnlyResults,
       count: textOnlyResults.length,
+      facets: ranked.facets,
+      nextCursor: ranked.nextCursor,
+      didYouMean: ranked.didYouMean,
+      correctedQuery: ranked.correctedQuery,
       searchType: "semantic",
       metadata: {
         totalResults: textOnlyResults.length,
+        totalCandidates: ranked.totalCandidates,
+        offset,
         searchTime: responseTime,
         environment,
+        mode,
+        ...ranked.metadata,
         reranked: true,
+        explain: ranked.explain,
       },
-    });
+    }, { cacheable: fullResults.length === ranked.page.length });
   } catch (error) {
     const responseTime = Date.now() - startTime;
     await logSearch(req, query, 0, filters, responseTime, false, error.message);
@@ -124,6 +925,428 @@ const semanticSearch = asyncHandler(async (req, res) => {
   }
 });
 
+const toSkeletonResult = (result, position) => ({
+  rank: position + 1,
+  id: result.id,
+  uid: result.entryUid || result.id,
+  contentType: result.contentType,
+  locale: result.locale,
+  title: result.title,
+  score: result.score,
+  fusedScore: result.fusedScore,
+  rerankScore: result.rerankScore,
+  finalScore: result.finalScore,
+  retrievers: result.retrievers,
+  snippets: result.snippets,
+  merchandising: result.merchandising,
+  fallbackLocale: result.fallbackLocale,
+});
+
+// Server-Sent Events variant of semanticSearch: a "skeleton" event with the
+// ranked page built from index metadata, one "result" (or "result-missing")
+// event per entry as its Contentstack fetch settles, then a "summary" event.
+// Errors after the stream has opened are sent as an "error" event since the
+// status is already 200.
+const streamSemanticSearch = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const environment = req.query.environment || "development";
+  const stackApiKey = req.stackApiKey;
+  const { searchBody, session } = await resolveSessionSearch(req.body, stackApiKey);
+  const options = parseSemanticSearchOptions(searchBody);
+  const { query, filters, mode, offset } = options;
+
+  // The response, not the request, tells whether the client went away: the
+  // request emits "close" as soon as its body has been read.
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  try {
+    logSemanticSearchRequest(options, environment, stackApiKey);
+
+    const ranked = await rankSemanticSearch(options, stackApiKey);
+
+    sendEvent("skeleton", withSessionFields({
+      query,
+      results: ranked.page.map(toSkeletonResult),
+      count: ranked.page.length,
+      facets: ranked.facets,
+      nextCursor: ranked.nextCursor,
+      didYouMean: ranked.didYouMean,
+      correctedQuery: ranked.correctedQuery,
+      searchType: "semantic",
+      metadata: {
+        totalCandidates: ranked.totalCandidates,
+        offset,
+        environment,
+        mode,
+        ...ranked.metadata,
+        explain: ranked.explain,
+      },
+    }, session));
+
+    const missing = [];
+    const enrichedResults = await enrichResultsWithContentstackData(
+      ranked.page,
+      stackApiKey,
+      environment,
+      {
+        ...options.enrichment,
+        onResult: (result, position) => {
+          if (result) {
+            sendEvent("result", { rank: position + 1, result });
+          } else {
+            const source = ranked.page[position];
+            missing.push(source.entryUid || source.id);
+            sendEvent("result-missing", { rank: position + 1, uid: source.entryUid || source.id });
+          }
+        },
+      }
+    );
+
+    const textOnlyResults = enrichedResults.filter(result => result.type !== 'image');
+    const responseTime = Date.now() - startTime;
+    await sessionService.recordTurn(stackApiKey, session, textOnlyResults);
+
+    sendEvent("summary", {
+      success: true,
+      count: textOnlyResults.length,
+      missing,
+      metadata: {
+        totalResults: textOnlyResults.length,
+        totalCandidates: ranked.totalCandidates,
+        searchTime: responseTime,
+      },
+    });
+
+    const logged = searchLogResults(textOnlyResults, ranked.metadata.fallback);
+    await logSearch(
+      req,
+      query,
+      logged.count,
+      filters,
+      responseTime,
+      true,
+      null,
+      logged.entryUids
+    );
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    await logSearch(req, query, 0, filters, responseTime, false, error.message);
+
+    console.error("Streaming semantic search failed", {
+      query,
+      error: error.message,
+      responseTime,
+    });
+
+    sendEvent("error", {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500,
+    });
+  } finally {
+    res.end();
+  }
+});
+
+const validateBatchQuery = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw new AppError("Each batch entry must be an object", 400);
+  }
+
+  const {
+    query,
+    filters = {},
+    topK = 5,
+    mode = config.search.defaultMode,
+    locale,
+    merchandising = true,
+    fields,
+    includeReferences,
+  } = item;
+
+  if (!query || typeof query !== "string" || !query.trim()) {
+    throw new AppError("Query must be a non-empty string", 400);
+  }
+
+  if (query.length > config.validation.maxQueryLength) {
+    throw new AppError(
+      `Query cannot exceed ${config.validation.maxQueryLength} characters`,
+      400
+    );
+  }
+
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    throw new AppError("Filters must be an object", 400);
+  }
+
+  const pageSize = parseInt(topK);
+  if (Number.isNaN(pageSize) || pageSize < 1 || pageSize > config.search.maxTopK) {
+    throw new AppError(`topK must be between 1 and ${config.search.maxTopK}`, 400);
+  }
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new AppError(
+      `Invalid search mode "${mode}". Expected one of: ${SEARCH_MODES.join(", ")}`,
+      400
+    );
+  }
+
+  if (locale !== undefined && (typeof locale !== "string" || !locale.trim())) {
+    throw new AppError("locale must be a non-empty string", 400);
+  }
+
+  return {
+    query,
+    filters,
+    topK: pageSize,
+    mode,
+    locale,
+    merchandising,
+    enrichment: parseEnrichmentOptions({ fields, includeReferences }),
+  };
+};
+
+const runBatchQuery = async (item, { queryEmbedding, scoringConfig, stackApiKey, environment }) => {
+  const metadataFilters = await buildMetadataFilters(item.filters, stackApiKey);
+  metadataFilters.type = "text";
+  if (item.locale) {
+    metadataFilters.locale = item.locale;
+  }
+
+  const retrieval = await retrieveCandidates({
+    query: item.expandedQuery,
+    mode: item.mode,
+    candidateCount: config.search.maxTopK,
+    metadataFilters,
+    stackApiKey,
+    expandSynonyms: false,
+    queryEmbedding,
+  });
+  const candidates = item.locale
+    ? retrieval.candidates
+    : dedupeByEntry(retrieval.candidates);
+
+  const rerankedResults =
+    candidates.length > 0
+      ? await rerankerService.rerankResults(item.query, candidates, candidates.length)
+      : [];
+  const scoredResults = applyScoring(rerankedResults, scoringConfig);
+
+  const matchingRules = item.merchandising
+    ? await merchandisingService.findMatchingRules(
+        stackApiKey,
+        item.query,
+        item.expandedQuery === item.query ? queryEmbedding : null
+      )
+    : [];
+  const { results: rankedResults, appliedRules } =
+    await merchandisingService.applyRules(scoredResults, matchingRules, {
+      stackApiKey,
+      metadataFilters,
+    });
+
+  const results = (
+    await enrichResultsWithContentstackData(
+      rankedResults.slice(0, item.topK),
+      stackApiKey,
+      environment,
+      item.enrichment
+    )
+  ).filter((result) => result.type !== "image");
+
+  return {
+    results,
+    count: results.length,
+    totalCandidates: rankedResults.length,
+    expandedQuery: item.expandedQuery,
+    synonymsApplied: item.synonymExpansions,
+    effectiveMode: retrieval.keywordIndexEmpty && item.mode === "hybrid" ? "vector" : undefined,
+    keywordIndexEmpty: retrieval.keywordIndexEmpty || undefined,
+    rulesApplied: appliedRules,
+  };
+};
+
+// Embeds the batch in a single request. If that request fails, each query is
+// embedded on its own so a query Cohere rejects only fails its own slot.
+const embedBatchQueries = async (items) => {
+  if (items.length === 0) {
+    return;
+  }
+
+  const embeddingStart = Date.now();
+  try {
+    const embeddings = await embeddingsService.generateTextEmbeddings(
+      items.map((item) => item.expandedQuery),
+      "search_query"
+    );
+    items.forEach((item, position) => {
+      item.queryEmbedding = embeddings[position];
+    });
+  } catch (error) {
+    console.warn("Batch embedding failed, embedding queries one by one", { error: error.message });
+    await Promise.all(
+      items.map(async (item) => {
+        try {
+          item.queryEmbedding = await embeddingsService.generateTextEmbedding(
+            item.expandedQuery,
+            "search_query"
+          );
+        } catch (itemError) {
+          item.error = itemError;
+        }
+      })
+    );
+  }
+  console.log(`⚡ Batch embedding of ${items.length} queries took: ${Date.now() - embeddingStart}ms`);
+};
+
+// Every query is embedded in a single Cohere request, then the searches run
+// concurrently. A failing query is reported in its own slot and does not
+// fail the rest of the batch.
+const batchSearch = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { queries } = req.body;
+  const environment = req.query.environment || "development";
+  const stackApiKey = req.stackApiKey;
+
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new AppError("queries must be a non-empty array", 400);
+  }
+
+  if (queries.length > config.search.batch.maxQueries) {
+    throw new AppError(
+      `A batch cannot contain more than ${config.search.batch.maxQueries} queries`,
+      400
+    );
+  }
+
+  const items = queries.map((item, index) => {
+    try {
+      return { index, ...validateBatchQuery(item) };
+    } catch (error) {
+      return { index, query: item?.query, error };
+    }
+  });
+  const runnable = items.filter((item) => !item.error);
+
+  if (stackApiKey) {
+    await vectorSearchService.setStackIndex(stackApiKey);
+  }
+
+  await Promise.all(
+    runnable.map(async (item) => {
+      try {
+        const { expandedQuery, expansions } = await synonymService.expandQuery(
+          stackApiKey,
+          item.query
+        );
+        item.expandedQuery = expandedQuery;
+        item.synonymExpansions = expansions;
+      } catch (error) {
+        item.error = error;
+      }
+    })
+  );
+
+  await embedBatchQueries(
+    runnable.filter((item) => !item.error && item.mode !== "keyword")
+  );
+
+  const scoringConfig = await searchSettingsService.getScoringSettings(stackApiKey);
+
+  const outcomes = await Promise.allSettled(
+    runnable.map(async (item) => {
+      const queryStart = Date.now();
+      try {
+        if (item.error) {
+          throw item.error;
+        }
+        const outcome = await runBatchQuery(item, {
+          queryEmbedding: item.queryEmbedding || null,
+          scoringConfig,
+          stackApiKey,
+          environment,
+        });
+        await logSearch(
+          req,
+          item.query,
+          outcome.count,
+          item.filters,
+          Date.now() - queryStart,
+          true,
+          null,
+          searchLogResults(outcome.results).entryUids
+        );
+        return outcome;
+      } catch (error) {
+        await logSearch(req, item.query, 0, item.filters, Date.now() - queryStart, false, error.message);
+        throw error;
+      }
+    })
+  );
+
+  const outcomesByIndex = new Map(
+    runnable.map((item, position) => [item.index, outcomes[position]])
+  );
+
+  const results = items.map((item) => {
+    const outcome = outcomesByIndex.get(item.index);
+    const error = item.error || (outcome.status === "rejected" ? outcome.reason : null);
+
+    if (error) {
+      return {
+        index: item.index,
+        query: item.query,
+        success: false,
+        error: {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+        },
+      };
+    }
+
+    const { results: entries, count, ...details } = outcome.value;
+    return {
+      index: item.index,
+      query: item.query,
+      success: true,
+      results: entries,
+      count,
+      metadata: {
+        mode: item.mode,
+        locale: item.locale,
+        ...details,
+      },
+    };
+  });
+
+  const failed = results.filter((result) => !result.success).length;
+
+  res.json({
+    success: true,
+    results,
+    count: results.length,
+    searchType: "batch",
+    metadata: {
+      succeeded: results.length - failed,
+      failed,
+      searchTime: Date.now() - startTime,
+      environment,
+    },
+  });
+});
+
 const searchText = asyncHandler(async (req, res) => {
   const { query, limit = 10, threshold = 0.0, filters = {} } = req.body;
 
@@ -131,6 +1354,8 @@ const searchText = asyncHandler(async (req, res) => {
     throw new AppError("Query must be a non-empty string", 400);
   }
 
+  const metadataFilters = await buildMetadataFilters(filters, req.stackApiKey);
+
   console.log("Text search request", { query, limit, threshold });
   const queryEmbedding = await embeddingsService.generateTextEmbedding(
     query,
@@ -139,7 +1364,7 @@ const searchText = asyncHandler(async (req, res) => {
   const results = await vectorSearchService.search(
     queryEmbedding,
     parseInt(limit),
-    { type: "text", ...buildMetadataFilters(filters) },
+    { type: "text", ...metadataFilters },
     parseFloat(threshold)
   );
 
@@ -192,21 +1417,76 @@ const getAllEntries = asyncHandler(async (req, res) => {
   }
 });
 
-const buildMetadataFilters = (filters) => {
-  const validFilters = {};
+const suggestSpelling = async (stackApiKey, query) => {
+  try {
+    return await spellingService.suggestCorrection(stackApiKey, query);
+  } catch (error) {
+    console.warn("Spelling suggestion failed", { error: error.message });
+    return null;
+  }
+};
+
+const parseSnippetOptions = (snippets) => {
+  if (!snippets) {
+    return null;
+  }
+
+  const options = snippets === true ? {} : snippets;
+  if (typeof options !== "object" || Array.isArray(options)) {
+    throw new AppError("snippets must be a boolean or an options object", 400);
+  }
 
-  for (const key in filters) {
-    if (filters[key] != null && filters[key] !== "") {
-      validFilters[key] = filters[key];
+  const { preTag, postTag, maxSnippets, fragmentSize } = options;
+
+  for (const [name, tag] of Object.entries({ preTag, postTag })) {
+    if (tag !== undefined && (typeof tag !== "string" || tag.length > 50)) {
+      throw new AppError(`snippets.${name} must be a string of at most 50 characters`, 400);
     }
   }
 
-  return validFilters;
+  if (
+    maxSnippets !== undefined &&
+    (!Number.isInteger(maxSnippets) ||
+      maxSnippets < 1 ||
+      maxSnippets > config.search.snippets.maxSnippetsLimit)
+  ) {
+    throw new AppError(
+      `snippets.maxSnippets must be between 1 and ${config.search.snippets.maxSnippetsLimit}`,
+      400
+    );
+  }
+
+  if (
+    fragmentSize !== undefined &&
+    (!Number.isInteger(fragmentSize) || fragmentSize < 40 || fragmentSize > 1000)
+  ) {
+    throw new AppError("snippets.fragmentSize must be between 40 and 1000", 400);
+  }
+
+  return {
+    preTag,
+    postTag,
+    maxSnippets,
+    fragmentSize,
+    escapeHtml: options.escapeHtml !== false,
+  };
 };
 
+// Validates the request's filters against the fields indexed for the stack
+// and translates them to the vector store's filter syntax (see
+// utils/filterDsl for the accepted language).
+const buildMetadataFilters = async (filters, stackApiKey) =>
+  translateFilters(filters, {
+    knownFields: await metadataFieldService.getKnownFields(stackApiKey),
+  });
+
 module.exports = {
   semanticSearch,
+  streamSemanticSearch,
+  batchSearch,
   searchText,
   getAllEntries,
   buildMetadataFilters,
+  parseSemanticSearchOptions,
+  rankSemanticSearch,
 };
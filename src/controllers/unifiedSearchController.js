@@ -0,0 +1,218 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const imageEmbeddingService = require('../services/imageEmbeddingService');
+const imageSearchService = require('../services/imageSearchService');
+const config = require('../config');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const {
+  parseSemanticSearchOptions,
+  rankSemanticSearch,
+} = require('./textSearchController');
+const {
+  enrichResultsWithContentstackData,
+  searchLogResults,
+  logSearch,
+} = require('../utils/searchHelpers');
+
+// Multipart requests (image uploads) carry every field as a string.
+const parseFilters = (filters) => {
+  if (typeof filters !== 'string') {
+    return filters;
+  }
+
+  try {
+    return JSON.parse(filters);
+  } catch (error) {
+    throw new AppError('filters must be an object or a JSON encoded object', 400);
+  }
+};
+
+// `entry` is the result as /semantic returns it.
+const toEntryResult = (result) => ({
+  kind: 'entry',
+  uid: result.uid,
+  title: result.title || null,
+  contentType: result.contentType,
+  rawScore: result.rerankScore ?? result.score,
+  matchedBy: 'text',
+  entry: result,
+});
+
+const toAssetResult = (match, matchedBy) => ({
+  kind: 'asset',
+  uid: match.uid,
+  title: match.title || null,
+  contentType: null,
+  rawScore: match.score ?? match.similarity,
+  matchedBy,
+  asset: {
+    url: match.url,
+    contentstackUrl: match.contentstack_url,
+  },
+});
+
+// Entry and asset scores come from different models (and fallback results
+// have no relevance score at all), so the lists are blended by rank. `score`
+// is the weighted rank fusion score scaled so a modality's top hit at weight
+// 1 scores 1.
+const blendByRank = (entries, assets, limit) => {
+  const { weights } = config.search.unified;
+  const scale = config.search.hybrid.rrfK + 1;
+  const ranked = (results) =>
+    results.map((result) => ({ id: `${result.kind}:${result.uid}`, result }));
+
+  return reciprocalRankFusion([
+    { name: 'text', results: ranked(entries), weight: weights.text },
+    { name: 'image', results: ranked(assets), weight: weights.image },
+  ])
+    .slice(0, limit)
+    .map(({ result, fusedScore }) => ({ ...result, score: fusedScore * scale }));
+};
+
+const searchEntries = async (body, stackApiKey, environment) => {
+  const options = parseSemanticSearchOptions(body);
+  const ranked = await rankSemanticSearch(options, stackApiKey);
+  const enriched = await enrichResultsWithContentstackData(
+    ranked.page,
+    stackApiKey,
+    environment,
+    options.enrichment
+  );
+
+  return {
+    results: enriched.filter((result) => result.type !== 'image').map(toEntryResult),
+    metadata: ranked.metadata,
+  };
+};
+
+// An image searches by visual similarity; a text query alone searches the
+// assets by description (text-to-image).
+const searchAssets = async ({ query, imageUrl, file }, limit, stackApiKey) => {
+  if (!file && !imageUrl) {
+    const matches = await imageSearchService.searchByText(query, limit, stackApiKey);
+    return matches.map((match) => toAssetResult(match, 'text'));
+  }
+
+  let embeddingResult;
+  if (file) {
+    const serviceAvailable = await imageEmbeddingService.checkPythonService();
+    if (!serviceAvailable) {
+      throw new AppError('Image embedding service is not available', 503);
+    }
+    embeddingResult = await imageEmbeddingService.embedImageFromFile(file.buffer, file.mimetype);
+  } else {
+    embeddingResult = await imageEmbeddingService.embedImage(imageUrl);
+  }
+
+  const matches = await imageSearchService.searchByEmbedding(
+    embeddingResult.embedding,
+    limit,
+    stackApiKey
+  );
+  return matches.map((match) => toAssetResult(match, 'image'));
+};
+
+// One result list for the global search bar: a text query searches entries
+// through the semantic pipeline, an image (URL or upload) searches image
+// assets, and both lists are blended by rank. Without an image, the text
+// query also searches assets by description unless includeAssets is false.
+// Every result has the same top-level shape; `kind` says whether `entry` or
+// `asset` holds the details.
+const unifiedSearch = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const environment = req.query.environment || 'development';
+  const stackApiKey = req.stackApiKey;
+  const {
+    query,
+    imageUrl,
+    topK = 10,
+    filters,
+    includeAssets = true,
+    ...textOptions
+  } = req.body;
+  const file = req.file;
+
+  const hasQuery = typeof query === 'string' && query.trim().length > 0;
+  const hasImage = Boolean(file) || (typeof imageUrl === 'string' && imageUrl.trim().length > 0);
+
+  if (!hasQuery && !hasImage) {
+    throw new AppError('Provide a text query, an image URL or an uploaded image', 400);
+  }
+
+  if (hasQuery && query.length > config.validation.maxQueryLength) {
+    throw new AppError(
+      `Query cannot exceed ${config.validation.maxQueryLength} characters`,
+      400
+    );
+  }
+
+  const limit = parseInt(topK);
+  if (Number.isNaN(limit) || limit < 1 || limit > config.search.maxTopK) {
+    throw new AppError(`topK must be between 1 and ${config.search.maxTopK}`, 400);
+  }
+
+  const textBody = {
+    ...textOptions,
+    query,
+    topK: limit,
+    filters: parseFilters(filters) || {},
+  };
+
+  // Multipart requests send includeAssets as a string.
+  const searchAssetsByText = includeAssets !== false && includeAssets !== 'false';
+
+  try {
+    const [entries, assets] = await Promise.all([
+      hasQuery ? searchEntries(textBody, stackApiKey, environment) : null,
+      hasImage || searchAssetsByText
+        ? searchAssets({ query, imageUrl: hasImage ? imageUrl : null, file }, limit, stackApiKey)
+        : [],
+    ]);
+
+    const results = blendByRank(entries ? entries.results : [], assets, limit);
+    const responseTime = Date.now() - startTime;
+
+    // Search logs cover entry hits only; assets are not entries.
+    if (hasQuery) {
+      const logged = searchLogResults(entries.results, entries.metadata.fallback);
+      await logSearch(
+        req,
+        query,
+        logged.count,
+        textBody.filters,
+        responseTime,
+        true,
+        null,
+        logged.entryUids
+      );
+    }
+
+    res.json({
+      success: true,
+      query: hasQuery ? query : null,
+      imageUrl: !file && hasImage ? imageUrl : undefined,
+      uploadedImage: file
+        ? { filename: file.originalname, size: file.size, mimetype: file.mimetype }
+        : undefined,
+      results,
+      count: results.length,
+      searchType: 'unified',
+      metadata: {
+        entries: results.filter((result) => result.kind === 'entry').length,
+        assets: results.filter((result) => result.kind === 'asset').length,
+        weights: config.search.unified.weights,
+        searchTime: responseTime,
+        environment,
+        ...(entries ? entries.metadata : {}),
+      },
+    });
+  } catch (error) {
+    if (hasQuery) {
+      await logSearch(req, query, 0, textBody.filters, Date.now() - startTime, false, error.message);
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  unifiedSearch,
+};
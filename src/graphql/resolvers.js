@@ -0,0 +1,182 @@
+const { AppError } = require('../middleware/errorHandler');
+const vectorSearchService = require('../services/vectorSearchService');
+const imageEmbeddingService = require('../services/imageEmbeddingService');
+const imageSearchService = require('../services/imageSearchService');
+const pineconeIndexService = require('../services/pineconeIndexService');
+const SearchLog = require('../models/SearchLog');
+const {
+  parseSemanticSearchOptions,
+  rankSemanticSearch,
+} = require('../controllers/textSearchController');
+const {
+  parseEnrichmentOptions,
+  createEntryLoader,
+  searchLogResults,
+  logSearch,
+} = require('../utils/searchHelpers');
+
+// Hits resolve entry data lazily, so a query selecting only ids, titles and
+// scores never calls Contentstack; hits that do ask are batched by the
+// loader. An entry that fails to load resolves to null.
+const toSearchHit = (result, loader) => {
+  let entryPromise = null;
+  const loadEntry = () => {
+    if (!entryPromise) {
+      entryPromise = loader(result);
+    }
+    return entryPromise;
+  };
+
+  return {
+    uid: result.entryUid || result.id,
+    contentType: result.contentType,
+    locale: result.locale,
+    title: result.title,
+    score: result.score,
+    fusedScore: result.fusedScore,
+    rerankScore: result.rerankScore,
+    finalScore: result.finalScore,
+    retrievers: result.retrievers,
+    snippets: result.snippets,
+    fallbackLocale: result.fallbackLocale,
+    explanation: result.explanation,
+    entry: loadEntry,
+    field: async ({ name }) => {
+      const entry = await loadEntry();
+      return entry && entry[name] !== undefined ? entry[name] : null;
+    },
+    fields: async ({ names }) => {
+      const entry = await loadEntry();
+      if (!entry) {
+        return null;
+      }
+      return names.reduce((picked, name) => {
+        picked[name] = entry[name] !== undefined ? entry[name] : null;
+        return picked;
+      }, {});
+    },
+  };
+};
+
+const semanticSearch = async ({ input }, { req, stackApiKey }) => {
+  const startTime = Date.now();
+  const { environment = 'development', fields, includeReferences, ...body } = input;
+  const options = parseSemanticSearchOptions({ ...body, filters: body.filters || {} });
+  const loader = createEntryLoader(
+    stackApiKey,
+    environment,
+    parseEnrichmentOptions({ fields, includeReferences })
+  );
+
+  try {
+    const ranked = await rankSemanticSearch(options, stackApiKey);
+    const searchTime = Date.now() - startTime;
+    const logged = searchLogResults(ranked.page, ranked.metadata.fallback);
+    await logSearch(
+      req,
+      options.query,
+      logged.count,
+      options.filters,
+      searchTime,
+      true,
+      null,
+      logged.entryUids
+    );
+
+    return {
+      query: options.query,
+      results: ranked.page.map((result) => toSearchHit(result, loader)),
+      count: ranked.page.length,
+      totalCandidates: ranked.totalCandidates,
+      nextCursor: ranked.nextCursor,
+      didYouMean: ranked.didYouMean,
+      correctedQuery: ranked.correctedQuery,
+      facets: ranked.facets,
+      expandedQuery: ranked.metadata.expandedQuery,
+      detectedLanguage: ranked.metadata.detectedLanguage,
+      translatedQuery: ranked.metadata.translatedQuery,
+      locale: ranked.metadata.locale,
+      effectiveMode: ranked.metadata.effectiveMode,
+      rulesApplied: ranked.metadata.rulesApplied,
+      fallback: ranked.metadata.fallback,
+      queryUnderstanding: ranked.metadata.queryUnderstanding,
+      searchTime,
+    };
+  } catch (error) {
+    await logSearch(req, options.query, 0, options.filters, Date.now() - startTime, false, error.message);
+    throw error;
+  }
+};
+
+const imageSearch = async ({ imageUrl, limit }, { stackApiKey }) => {
+  if (limit < 1 || limit > 100) {
+    throw new AppError('limit must be between 1 and 100', 400);
+  }
+
+  await vectorSearchService.setStackIndex(stackApiKey);
+  const { embedding } = await imageEmbeddingService.embedImage(imageUrl);
+  const results = await imageSearchService.searchByEmbedding(embedding, limit, stackApiKey);
+
+  return {
+    imageUrl,
+    results: results.map((result) => ({
+      ...result,
+      contentstackUrl: result.contentstack_url,
+    })),
+    total: results.length,
+  };
+};
+
+const searchAnalytics = async ({ days, popularLimit }, { stackApiKey }) => {
+  if (days < 1 || days > 365) {
+    throw new AppError('days must be between 1 and 365', 400);
+  }
+
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const [stats, popularQueries, errorStats] = await Promise.all([
+    SearchLog.getSearchStats(stackApiKey, startDate, endDate),
+    SearchLog.getPopularQueries(stackApiKey, popularLimit, startDate, endDate),
+    SearchLog.getErrorStats(stackApiKey, startDate, endDate),
+  ]);
+
+  return {
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    days,
+    stats: stats[0] || {
+      totalSearches: 0,
+      successfulSearches: 0,
+      averageResponseTime: 0,
+      averageResultsCount: 0,
+    },
+    popularQueries,
+    errorStats: errorStats.map((stat) => ({
+      message: stat._id,
+      count: stat.count,
+      lastOccurrence: stat.lastOccurrence ? stat.lastOccurrence.toISOString() : null,
+    })),
+  };
+};
+
+const indexStats = async (args, { stackApiKey }) => {
+  await vectorSearchService.setStackIndex(stackApiKey);
+  const stats = await vectorSearchService.getIndexStats(stackApiKey);
+
+  return {
+    indexName: pineconeIndexService.generateIndexName(stackApiKey),
+    totalVectors: stats?.totalRecordCount ?? stats?.totalVectorCount ?? 0,
+    dimensions: stats?.dimension ?? null,
+    indexFullness: stats?.indexFullness ?? null,
+    namespaces: stats?.namespaces || {},
+  };
+};
+
+module.exports = {
+  semanticSearch,
+  imageSearch,
+  searchAnalytics,
+  indexStats,
+};
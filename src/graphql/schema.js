@@ -0,0 +1,158 @@
+const { buildSchema } = require('graphql');
+
+// JSON carries values whose shape depends on the stack: filters, facets,
+// scoring overrides and raw entry fields.
+const typeDefs = `
+  scalar JSON
+
+  enum SearchMode {
+    vector
+    keyword
+    hybrid
+  }
+
+  input SemanticSearchInput {
+    query: String!
+    topK: Int
+    filters: JSON
+    mode: SearchMode
+    facets: [String!]
+    facetSize: Int
+    cursor: String
+    snippets: JSON
+    spellcheck: Boolean
+    autoCorrect: Boolean
+    expandSynonyms: Boolean
+    merchandising: Boolean
+    scoring: JSON
+    explain: Boolean
+    crossLingual: Boolean
+    translateQuery: Boolean
+    locale: String
+    localeFallback: Boolean
+    "true, false or a list of strategies: relaxThreshold, dropFilters, rewriteQuery, popular"
+    fallback: JSON
+    understandQuery: Boolean
+    environment: String
+    fields: [String!]
+    includeReferences: [String!]
+  }
+
+  type Snippet {
+    field: String!
+    text: String!
+    matched: Boolean!
+  }
+
+  type AppliedRule {
+    id: ID!
+    name: String
+  }
+
+  """
+  A ranked hit. Scores and index metadata are free; entry, field and fields
+  fetch the entry from Contentstack only when selected.
+  """
+  type SearchHit {
+    uid: ID!
+    contentType: String!
+    locale: String
+    title: String
+    "Vector similarity; null for hits only the keyword retriever found"
+    score: Float
+    "Rank fusion score in hybrid mode"
+    fusedScore: Float
+    rerankScore: Float
+    finalScore: Float
+    retrievers: [String!]
+    snippets: [Snippet!]
+    fallbackLocale: Boolean
+    explanation: JSON
+    entry: JSON
+    field(name: String!): JSON
+    fields(names: [String!]!): JSON
+  }
+
+  type SemanticSearchResult {
+    query: String!
+    results: [SearchHit!]!
+    count: Int!
+    totalCandidates: Int!
+    nextCursor: String
+    didYouMean: String
+    correctedQuery: String
+    facets: JSON
+    expandedQuery: String
+    detectedLanguage: String
+    translatedQuery: String
+    locale: String
+    "Set when hybrid search ran vector-only because the keyword index is empty"
+    effectiveMode: String
+    rulesApplied: [AppliedRule!]!
+    "Which zero-result fallback produced the results, when one ran"
+    fallback: JSON
+    "The semantic query and filter chips extracted when understandQuery is on"
+    queryUnderstanding: JSON
+    searchTime: Int!
+  }
+
+  type ImageHit {
+    uid: ID!
+    title: String
+    url: String
+    similarity: Float
+    contentstackUrl: String
+  }
+
+  type ImageSearchResult {
+    imageUrl: String!
+    results: [ImageHit!]!
+    total: Int!
+  }
+
+  type SearchStats {
+    totalSearches: Int!
+    successfulSearches: Int!
+    averageResponseTime: Float
+    averageResultsCount: Float
+  }
+
+  type PopularQuery {
+    query: String!
+    count: Int!
+    averageResponseTime: Float
+    averageResultsCount: Float
+  }
+
+  type ErrorStat {
+    message: String
+    count: Int!
+    lastOccurrence: String
+  }
+
+  type SearchAnalytics {
+    startDate: String!
+    endDate: String!
+    days: Int!
+    stats: SearchStats!
+    popularQueries: [PopularQuery!]!
+    errorStats: [ErrorStat!]!
+  }
+
+  type IndexStats {
+    indexName: String!
+    totalVectors: Int!
+    dimensions: Int
+    indexFullness: Float
+    namespaces: JSON
+  }
+
+  type Query {
+    semanticSearch(input: SemanticSearchInput!): SemanticSearchResult!
+    imageSearch(imageUrl: String!, limit: Int = 5): ImageSearchResult!
+    searchAnalytics(days: Int = 7, popularLimit: Int = 10): SearchAnalytics!
+    indexStats: IndexStats!
+  }
+`;
+
+module.exports = buildSchema(typeDefs);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const indexedEntrySchema = new mongoose.Schema({
+  stackApiKey: {
+    type: String,
+    required: [true, 'Stack API key is required'],
+    index: true,
+  },
+  vectorId: {
+    type: String,
+    required: [true, 'Vector ID is required'],
+  },
+  entryUid: {
+    type: String,
+    required: [true, 'Entry UID is required'],
+  },
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required'],
+  },
+  type: {
+    type: String,
+    enum: ['text', 'image'],
+    default: 'text',
+  },
+  locale: {
+    type: String,
+    default: null,
+  },
+  title: {
+    type: String,
+    default: '',
+  },
+  normalizedTitle: {
+    type: String,
+    default: '',
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+  fields: [{
+    _id: false,
+    name: { type: String, required: true },
+    text: { type: String, default: '' },
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+indexedEntrySchema.index({ stackApiKey: 1, vectorId: 1 }, { unique: true });
+indexedEntrySchema.index({ stackApiKey: 1, entryUid: 1, locale: 1 });
+indexedEntrySchema.index({ stackApiKey: 1, type: 1, normalizedTitle: 1 });
+
+indexedEntrySchema.statics.upsertForStack = function(stackApiKey, vectorId, data) {
+  return this.findOneAndUpdate(
+    { stackApiKey, vectorId },
+    {
+      $set: {
+        stackApiKey,
+        vectorId,
+        ...data,
+        normalizedTitle: (data.title || '').trim().toLowerCase(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+indexedEntrySchema.statics.findByStack = function(stackApiKey, type = 'text') {
+  return this.find({ stackApiKey, type }).lean();
+};
+
+indexedEntrySchema.statics.findTitlesByPrefix = function(stackApiKey, prefix, limit = 10) {
+  const escapedPrefix = prefix.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return this.find({
+    stackApiKey,
+    type: 'text',
+    normalizedTitle: { $regex: `^${escapedPrefix}` },
+  })
+    .select('entryUid contentType title')
+    .sort({ normalizedTitle: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('IndexedEntry', indexedEntrySchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['pin', 'boost', 'bury', 'hide'],
+      message: 'Action type must be one of pin, boost, bury or hide',
+    },
+    required: [true, 'Action type is required'],
+  },
+  entryUid: {
+    type: String,
+    required: [true, 'Action entryUid is required'],
+  },
+  position: {
+    type: Number,
+    min: [1, 'Pin position must be at least 1'],
+  },
+  factor: {
+    type: Number,
+    min: [0, 'Boost factor cannot be negative'],
+  },
+}, { _id: false });
+
+const merchandisingRuleSchema = new mongoose.Schema({
+  stackApiKey: {
+    type: String,
+    required: [true, 'Stack API key is required'],
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    maxlength: [200, 'Rule name cannot exceed 200 characters'],
+  },
+  condition: {
+    matchType: {
+      type: String,
+      enum: {
+        values: ['exact', 'contains', 'semantic'],
+        message: 'Match type must be one of exact, contains or semantic',
+      },
+      required: [true, 'Condition match type is required'],
+    },
+    query: {
+      type: String,
+      required: [true, 'Condition query is required'],
+      maxlength: [500, 'Condition query cannot exceed 500 characters'],
+      set: (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : value),
+    },
+    similarityThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.85,
+    },
+  },
+  queryEmbedding: {
+    type: [Number],
+    select: false,
+    default: undefined,
+  },
+  actions: {
+    type: [actionSchema],
+    validate: {
+      validator: (actions) => Array.isArray(actions) && actions.length > 0,
+      message: 'At least one action is required',
+    },
+  },
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+    default: null,
+  },
+  endsAt: {
+    type: Date,
+    default: null,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+merchandisingRuleSchema.index({ stackApiKey: 1, enabled: 1, priority: -1 });
+
+merchandisingRuleSchema.pre('validate', function(next) {
+  (this.actions || []).forEach((action, index) => {
+    if (action.type === 'pin' && !action.position) {
+      this.invalidate(`actions.${index}.position`, 'Pin actions need a position');
+    }
+    if (action.type === 'boost' && (action.factor === undefined || action.factor === null)) {
+      this.invalidate(`actions.${index}.factor`, 'Boost actions need a factor');
+    }
+  });
+
+  if (this.startsAt && this.endsAt && this.startsAt > this.endsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+
+  next();
+});
+
+merchandisingRuleSchema.statics.findEnabledForStack = function(stackApiKey) {
+  return this.find({ stackApiKey, enabled: true })
+    .select('+queryEmbedding')
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+};
+
+merchandisingRuleSchema.statics.isWithinSchedule = function(rule, now = new Date()) {
+  return (!rule.startsAt || rule.startsAt <= now) && (!rule.endsAt || rule.endsAt >= now);
+};
+
+module.exports = mongoose.model('MerchandisingRule', merchandisingRuleSchema);
@@ -6,6 +6,10 @@ const searchLogSchema = new mongoose.Schema({
     required: [true, 'Search query is required'],
     maxlength: [500, 'Query cannot exceed 500 characters'],
   },
+  normalizedQuery: {
+    type: String,
+    maxlength: 500,
+  },
   stackApiKey: {
     type: String,
     required: [true, 'Stack API key is required'],
@@ -47,6 +51,10 @@ const searchLogSchema = new mongoose.Schema({
     type: String,
     maxlength: 1000,
   },
+  resultEntryUids: {
+    type: [String],
+    default: undefined,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -60,9 +68,21 @@ searchLogSchema.index({ createdAt: -1 });
 searchLogSchema.index({ stackApiKey: 1, createdAt: -1 });
 searchLogSchema.index({ success: 1, createdAt: -1 });
 searchLogSchema.index({ environment: 1, createdAt: -1 });
+searchLogSchema.index({ stackApiKey: 1, normalizedQuery: 1 });
 
 searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
 
+searchLogSchema.statics.normalizeQuery = function(query = '') {
+  return query.trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+searchLogSchema.pre('save', function(next) {
+  if (this.isModified('query')) {
+    this.normalizedQuery = this.constructor.normalizeQuery(this.query);
+  }
+  next();
+});
+
 searchLogSchema.statics.getSearchStats = function(stackApiKey, startDate, endDate) {
   const matchStage = {
     stackApiKey,
@@ -122,6 +142,38 @@ searchLogSchema.statics.getPopularQueries = function(stackApiKey, limit = 10, st
   ]);
 };
 
+// Entries ranked by how often they were returned for distinct searches,
+// most recent searches first on ties.
+searchLogSchema.statics.getPopularEntries = function(stackApiKey, limit = 10, since) {
+  return this.aggregate([
+    {
+      $match: {
+        stackApiKey,
+        success: true,
+        createdAt: { $gte: since },
+        'resultEntryUids.0': { $exists: true },
+      },
+    },
+    { $unwind: '$resultEntryUids' },
+    {
+      $group: {
+        _id: '$resultEntryUids',
+        count: { $sum: 1 },
+        lastReturnedAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { count: -1, lastReturnedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        entryUid: '$_id',
+        count: 1,
+      },
+    },
+  ]);
+};
+
 searchLogSchema.statics.getErrorStats = function(stackApiKey, startDate, endDate) {
   const matchStage = {
     stackApiKey,
@@ -145,4 +197,49 @@ searchLogSchema.statics.getErrorStats = function(stackApiKey, startDate, endDate
   ]);
 };
 
+searchLogSchema.statics.getQuerySuggestions = function(stackApiKey, prefix, limit = 10, options = {}) {
+  const { halfLifeDays = 7, lookbackDays = 30 } = options;
+  const escapedPrefix = this.normalizeQuery(prefix).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
+
+  return this.aggregate([
+    {
+      $match: {
+        stackApiKey,
+        success: true,
+        normalizedQuery: { $regex: `^${escapedPrefix}` },
+        createdAt: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) },
+      },
+    },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        count: { $sum: 1 },
+        zeroResultCount: {
+          $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] }
+        },
+        // Each search counts for less the older it is: 1 today, 0.5 after one half-life.
+        weight: {
+          $sum: {
+            $pow: [0.5, { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, halfLifeMs] }]
+          }
+        },
+        lastSearchedAt: { $max: '$createdAt' },
+      },
+    },
+    { $match: { zeroResultCount: 0 } },
+    { $sort: { weight: -1, count: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        query: '$_id',
+        count: 1,
+        weight: 1,
+        lastSearchedAt: 1,
+      },
+    },
+  ]);
+};
+
 module.exports = mongoose.model('SearchLog', searchLogSchema);
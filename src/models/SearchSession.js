@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const searchTurnSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  rewrittenQuery: {
+    type: String,
+    maxlength: 1000,
+  },
+  results: [{
+    _id: false,
+    entryUid: String,
+    contentType: String,
+    title: String,
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+const searchSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+  },
+  stackApiKey: {
+    type: String,
+    required: [true, 'Stack API key is required'],
+  },
+  turns: {
+    type: [searchTurnSchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+searchSessionSchema.index({ stackApiKey: 1, sessionId: 1 }, { unique: true });
+
+// Sessions expire a day after their last turn.
+searchSessionSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchSession', searchSessionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const fieldBoostSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Boost field is required'],
+  },
+  factor: {
+    type: Number,
+    required: [true, 'Boost factor is required'],
+    min: [0, 'Boost factor cannot be negative'],
+  },
+  modifier: {
+    type: String,
+    enum: {
+      values: ['none', 'log1p', 'sqrt'],
+      message: 'Boost modifier must be one of none, log1p or sqrt',
+    },
+    default: 'log1p',
+  },
+}, { _id: false });
+
+const searchSettingsSchema = new mongoose.Schema({
+  stackApiKey: {
+    type: String,
+    required: [true, 'Stack API key is required'],
+    unique: true,
+    index: true,
+  },
+  scoring: {
+    recency: {
+      enabled: { type: Boolean, default: false },
+      field: { type: String, default: 'updated_at' },
+      halfLifeDays: { type: Number, min: [1, 'halfLifeDays must be at least 1'], default: 90 },
+      weight: {
+        type: Number,
+        min: [0, 'Recency weight must be between 0 and 1'],
+        max: [1, 'Recency weight must be between 0 and 1'],
+        default: 0.3,
+      },
+    },
+    fieldBoosts: {
+      type: [fieldBoostSchema],
+      default: [],
+    },
+    contentTypeWeights: {
+      type: Map,
+      of: { type: Number, min: [0, 'Content type weights cannot be negative'] },
+      default: {},
+    },
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+searchSettingsSchema.statics.findForStack = function(stackApiKey) {
+  return this.findOne({ stackApiKey }).lean();
+};
+
+module.exports = mongoose.model('SearchSettings', searchSettingsSchema);
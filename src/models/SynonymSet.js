@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const normalizeTerm = (term) =>
+  typeof term === 'string' ? term.trim().toLowerCase().replace(/\s+/g, ' ') : term;
+
+const synonymSetSchema = new mongoose.Schema({
+  stackApiKey: {
+    type: String,
+    required: [true, 'Stack API key is required'],
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['equivalent', 'one-way'],
+      message: 'Synonym type must be either "equivalent" or "one-way"',
+    },
+    required: [true, 'Synonym type is required'],
+  },
+  terms: {
+    type: [{ type: String, set: normalizeTerm, maxlength: 100 }],
+    default: undefined,
+  },
+  input: {
+    type: String,
+    set: normalizeTerm,
+    maxlength: 100,
+  },
+  synonyms: {
+    type: [{ type: String, set: normalizeTerm, maxlength: 100 }],
+    default: undefined,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+synonymSetSchema.pre('validate', function(next) {
+  if (this.type === 'equivalent') {
+    const terms = (this.terms || []).filter(Boolean);
+    if (new Set(terms).size < 2) {
+      this.invalidate('terms', 'Equivalent synonyms need at least two distinct terms');
+    }
+  }
+
+  if (this.type === 'one-way') {
+    if (!this.input) {
+      this.invalidate('input', 'One-way synonyms need an input term');
+    }
+    if (!this.synonyms || this.synonyms.filter(Boolean).length === 0) {
+      this.invalidate('synonyms', 'One-way synonyms need at least one synonym');
+    }
+  }
+
+  next();
+});
+
+synonymSetSchema.statics.findActiveByStack = function(stackApiKey) {
+  return this.find({ stackApiKey, enabled: true }).lean();
+};
+
+module.exports = mongoose.model('SynonymSet', synonymSetSchema);
@@ -5,5 +5,7 @@ const { authenticateStack } = require('../middleware/auth');
 
 router.get('/content-types', authenticateStack, configController.getContentTypes);
 router.get('/stack', authenticateStack, configController.getStackConfig);
+router.get('/scoring', authenticateStack, configController.getScoringConfig);
+router.put('/scoring', authenticateStack, configController.updateScoringConfig);
 
 module.exports = router;
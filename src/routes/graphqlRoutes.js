@@ -0,0 +1,41 @@
+const express = require('express');
+const { GraphQLError } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const schema = require('../graphql/schema');
+const rootValue = require('../graphql/resolvers');
+const { authenticateStack } = require('../middleware/auth');
+
+const router = express.Router();
+
+// AppErrors keep their HTTP status under extensions.statusCode.
+const formatError = (error) => {
+  const statusCode = error.originalError?.statusCode;
+  if (!(error instanceof GraphQLError) || !statusCode) {
+    return error;
+  }
+
+  return new GraphQLError(error.message, {
+    nodes: error.nodes,
+    source: error.source,
+    positions: error.positions,
+    path: error.path,
+    originalError: error.originalError,
+    extensions: { ...error.extensions, statusCode },
+  });
+};
+
+router.all(
+  '/',
+  authenticateStack,
+  createHandler({
+    schema,
+    rootValue,
+    context: (req) => ({
+      req: req.raw,
+      stackApiKey: req.raw.stackApiKey,
+    }),
+    formatError,
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const merchandisingController = require('../controllers/merchandisingController');
+const { authenticateStack } = require('../middleware/auth');
+
+router.get('/rules', authenticateStack, merchandisingController.listRules);
+router.post('/rules', authenticateStack, merchandisingController.createRule);
+router.get('/rules/:id', authenticateStack, merchandisingController.getRule);
+router.put('/rules/:id', authenticateStack, merchandisingController.updateRule);
+router.delete('/rules/:id', authenticateStack, merchandisingController.deleteRule);
+
+module.exports = router;
@@ -3,11 +3,28 @@ const router = express.Router();
 const textSearchController = require('../controllers/textSearchController');
 const searchAnalyticsController = require('../controllers/searchAnalyticsController');
 const syncController = require('../controllers/syncController');
+const suggestionController = require('../controllers/suggestionController');
+const similarController = require('../controllers/similarController');
+const answerController = require('../controllers/answerController');
+const sessionController = require('../controllers/sessionController');
+const unifiedSearchController = require('../controllers/unifiedSearchController');
 const { authenticateStack } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 
 router.post('/text', authenticateStack, textSearchController.searchText);
 router.post('/semantic', authenticateStack, textSearchController.semanticSearch);
+router.post('/semantic/stream', authenticateStack, textSearchController.streamSemanticSearch);
+router.post('/batch', authenticateStack, textSearchController.batchSearch);
+router.post('/answer', authenticateStack, answerController.answerQuestion);
+// Multer runs first so multipart fields such as stackApiKey are parsed.
+router.post('/unified', imageUpload.single('image'), authenticateStack, unifiedSearchController.unifiedSearch);
 router.get('/entries', authenticateStack, textSearchController.getAllEntries);
+router.get('/suggest', authenticateStack, suggestionController.getSuggestions);
+router.get('/similar/:entryUid', authenticateStack, similarController.getSimilarEntries);
+
+router.post('/sessions', authenticateStack, sessionController.createSession);
+router.get('/sessions/:sessionId', authenticateStack, sessionController.getSession);
+router.delete('/sessions/:sessionId', authenticateStack, sessionController.deleteSession);
 
 router.get('/analytics', authenticateStack, searchAnalyticsController.getSearchAnalytics);
 router.get('/stats', authenticateStack, searchAnalyticsController.getSearchStats);
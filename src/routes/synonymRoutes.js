@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const synonymController = require('../controllers/synonymController');
+const { authenticateStack } = require('../middleware/auth');
+
+router.get('/', authenticateStack, synonymController.listSynonymSets);
+router.post('/', authenticateStack, synonymController.createSynonymSet);
+router.get('/:id', authenticateStack, synonymController.getSynonymSet);
+router.put('/:id', authenticateStack, synonymController.updateSynonymSet);
+router.delete('/:id', authenticateStack, synonymController.deleteSynonymSet);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const indexingService = require('../services/indexingService');
 const imageEmbeddingService = require('../services/imageEmbeddingService');
 const vectorSearchService = require('../services/vectorSearchService');
+const imageSearchService = require('../services/imageSearchService');
+const cacheService = require('../services/cacheService');
 const { AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -30,10 +32,12 @@ async function handleWebhook(req, res) {
     if (data.asset) {
       console.log('Processing asset webhook for:', data.asset.uid);
       await handleAssetWebhook(data.asset, event, stackApiKey);
+      cacheService.invalidateStack(stackApiKey);
     }
     else if (data.entry) {
       console.log('Processing entry webhook for:', data.entry.uid);
-      await handleEntryWebhook(data.entry, data.content_type, event, stackApiKey);
+      await handleEntryWebhook(data.entry, data.content_type, event, stackApiKey, data.locale || data.entry.locale);
+      cacheService.invalidateEntry(stackApiKey, data.entry.uid);
     }
     else if (event && (event.includes('delete') || event.includes('unpublish'))) {
       const uid = data.uid || data.asset?.uid || data.entry?.uid;
@@ -42,8 +46,11 @@ async function handleWebhook(req, res) {
       if (uid) {
         if (event.startsWith('asset.')) {
           await removeAssetFromIndex(uid, stackApiKey);
+          cacheService.invalidateStack(stackApiKey);
         } else if (event.startsWith('entry.')) {
-          await indexingService.removeEntry(uid, stackApiKey);
+          const locale = event === 'entry.unpublish' ? data.locale : null;
+          await indexingService.removeEntry(uid, stackApiKey, locale);
+          cacheService.invalidateEntry(stackApiKey, uid);
         }
       }
     }
@@ -62,11 +69,13 @@ async function handleWebhook(req, res) {
   }
 }
 
-async function handleEntryWebhook(entry, contentType, event, stackApiKey) {
+// Publish and unpublish are per locale, so only that localization is touched;
+// deleting an entry removes every locale at once.
+async function handleEntryWebhook(entry, contentType, event, stackApiKey, locale = null) {
   const entryUid = entry.uid;
   const contentTypeUid = contentType?.uid;
   
-  console.log('Entry webhook - Event:', event, 'Entry UID:', entryUid, 'Content Type:', contentTypeUid);
+  console.log('Entry webhook - Event:', event, 'Entry UID:', entryUid, 'Content Type:', contentTypeUid, 'Locale:', locale);
   
   if (!entryUid) {
     throw new Error('Missing entry UID');
@@ -77,8 +86,11 @@ async function handleEntryWebhook(entry, contentType, event, stackApiKey) {
       throw new Error('Missing content type UID for entry indexing');
     }
     console.log('Indexing entry:', entryUid, 'of type:', contentTypeUid);
-    await indexingService.indexEntry(entry, contentTypeUid, stackApiKey);
-  } else if (event === 'entry.delete' || event === 'entry.unpublish') {
+    await indexingService.indexEntry(entry, contentTypeUid, stackApiKey, locale);
+  } else if (event === 'entry.unpublish') {
+    console.log('Removing entry locale from index:', entryUid, locale);
+    await indexingService.removeEntry(entryUid, stackApiKey, locale);
+  } else if (event === 'entry.delete') {
     console.log('Removing entry from index:', entryUid);
     await indexingService.removeEntry(entryUid, stackApiKey);
   } else {
@@ -113,29 +125,7 @@ async function indexSingleAsset(asset, stackApiKey) {
       throw new AppError('Image embedding service is not available', 503);
     }
 
-    const embeddingResult = await imageEmbeddingService.embedImage(asset.url);
-
-    const metadata = {
-      uid: asset.uid,
-      title: asset.title || asset.filename,
-      url: asset.url,
-      type: 'image',
-      stackApiKey,
-      content_type: asset.content_type,
-      file_size: asset.file_size,
-      width: asset.dimension?.width?.toString() || '0',
-      height: asset.dimension?.height?.toString() || '0',
-      created_at: asset.created_at,
-      updated_at: asset.updated_at
-    };
-
-    await vectorSearchService.indexEntry(
-      `image_${asset.uid}`,
-      asset.title || asset.filename,
-      embeddingResult.embedding,
-      metadata,
-      stackApiKey
-    );
+    await imageSearchService.indexAsset(asset, stackApiKey);
   } catch (error) {
     console.error('Failed to index asset:', asset.uid, error.message);
     throw error;
@@ -146,7 +136,7 @@ async function removeAssetFromIndex(assetUid, stackApiKey) {
   try {
     await vectorSearchService.setStackIndex(stackApiKey);
 
-    await vectorSearchService.deleteEntry(`image_${assetUid}`, stackApiKey);
+    await imageSearchService.removeAsset(assetUid, stackApiKey);
   } catch (error) {
     console.error('Failed to remove asset from index:', assetUid, error.message);
     throw error;
@@ -0,0 +1,82 @@
+const config = require('../config');
+const geminiService = require('./geminiService');
+
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const buildPrompt = (query, passages) => {
+  const sources = passages
+    .map((passage, position) =>
+      `[${position + 1}] ${passage.title || 'Untitled'} (${passage.contentType})\n${passage.text}`)
+    .join('\n\n');
+
+  return `Answer the question using only the numbered sources below.
+Cite every statement with the number of the source it comes from in square brackets, e.g. [1] or [2, 3].
+Answer in the language of the question. If the sources do not contain the answer, do not guess.
+Respond with JSON of the form {"answerable": true or false, "answer": "..."}.
+
+Sources:
+${sources}
+
+Question: ${query}`;
+};
+
+// Keeps markers that point at a passage, drops the rest, and lists the
+// passages cited in order of first citation.
+const resolveCitations = (answer, passages) => {
+  const cited = new Map();
+
+  const text = answer.replace(CITATION_PATTERN, (marker, numbers) => {
+    const valid = numbers
+      .split(',')
+      .map((number) => parseInt(number.trim()))
+      .filter((number) => number >= 1 && number <= passages.length);
+
+    valid.forEach((number) => {
+      if (!cited.has(number)) {
+        cited.set(number, passages[number - 1]);
+      }
+    });
+
+    return valid.length > 0 ? `[${valid.join(', ')}]` : '';
+  });
+
+  return {
+    text: text.replace(/[ \t]+([.,;:!?])/g, '$1').trim(),
+    citations: Array.from(cited, ([number, passage]) => ({
+      id: number,
+      entryUid: passage.entryUid,
+      contentType: passage.contentType,
+      title: passage.title,
+      locale: passage.locale,
+    })),
+  };
+};
+
+// Passages are { entryUid, contentType, title, locale, text }. Returns
+// { answerable: false } unless Gemini answered from the passages with at
+// least one valid citation.
+const generateAnswer = async (query, passages) => {
+  const trimmed = passages.map((passage) => ({
+    ...passage,
+    text: (passage.text || '').substring(0, config.search.answer.maxPassageLength),
+  }));
+
+  const response = await geminiService.generateJson(buildPrompt(query, trimmed), {
+    temperature: config.search.answer.temperature,
+  });
+
+  if (!response?.answerable || typeof response.answer !== 'string' || !response.answer.trim()) {
+    return { answerable: false, reason: 'not_in_sources' };
+  }
+
+  const { text, citations } = resolveCitations(response.answer, trimmed);
+  if (citations.length === 0) {
+    return { answerable: false, reason: 'ungrounded' };
+  }
+
+  return { answerable: true, answer: text, citations };
+};
+
+module.exports = {
+  generateAnswer,
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const caches = new Map();
+
+// In-memory LRU with a per-item TTL. Map iteration follows insertion order,
+// so re-inserting on read keeps the least recently used key first in line
+// for eviction.
+const createCache = (name, options = {}) => {
+  const ttl = options.ttl ?? config.cache.ttl;
+  const maxSize = options.maxSize ?? config.cache.maxSize;
+  const items = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  const get = (key) => {
+    const item = items.get(key);
+    if (!item || item.expiresAt <= Date.now()) {
+      if (item) {
+        items.delete(key);
+      }
+      counters.misses++;
+      return undefined;
+    }
+
+    items.delete(key);
+    items.set(key, item);
+    counters.hits++;
+    return item.value;
+  };
+
+  const set = (key, value) => {
+    items.delete(key);
+    items.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+    while (items.size > maxSize) {
+      items.delete(items.keys().next().value);
+      counters.evictions++;
+    }
+    return value;
+  };
+
+  const deleteWhere = (predicate) => {
+    let removed = 0;
+    for (const key of items.keys()) {
+      if (predicate(key)) {
+        items.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  const deleteByPrefix = (prefix) => deleteWhere((key) => key.startsWith(prefix));
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      ...counters,
+      hitRate: lookups > 0 ? counters.hits / lookups : 0,
+      size: items.size,
+      maxSize,
+      ttl,
+    };
+  };
+
+  const cache = {
+    name,
+    get,
+    set,
+    delete: (key) => items.delete(key),
+    deleteWhere,
+    deleteByPrefix,
+    clear: () => items.clear(),
+    stats,
+  };
+  caches.set(name, cache);
+  return cache;
+};
+
+const embeddings = createCache('embeddings');
+const searchResults = createCache('searchResults');
+const entries = createCache('entries');
+
+const REFERENCES_VARIANT_PREFIX = 'refs-';
+
+// `variant` distinguishes projected copies of an entry; copies with resolved
+// references start with REFERENCES_VARIANT_PREFIX because they embed other
+// entries.
+const entryKey = (stackApiKey, entryUid, environment, locale, contentType, variant = '') =>
+  `${stackApiKey}:${entryUid}:${environment}:${locale || ''}:${contentType}:${variant}`;
+
+const entryVariant = ({ only, include } = {}) => {
+  const hasOnly = Array.isArray(only) && only.length > 0;
+  const hasInclude = Array.isArray(include) && include.length > 0;
+  if (!hasOnly && !hasInclude) {
+    return '';
+  }
+
+  const signature = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({
+      only: hasOnly ? [...only].sort() : [],
+      include: hasInclude ? [...include].sort() : [],
+    }))
+    .digest('hex')
+    .substring(0, 12);
+  return `${hasInclude ? REFERENCES_VARIANT_PREFIX : 'only-'}${signature}`;
+};
+
+// An entry change drops that entry's cached versions, any cached entry that
+// may embed it as a reference, and every cached result page of the stack,
+// since any page may rank or embed it.
+const invalidateEntry = (stackApiKey, entryUid) => {
+  const stackPrefix = `${stackApiKey}:`;
+  entries.deleteWhere((key) =>
+    key.startsWith(`${stackPrefix}${entryUid}:`) ||
+    (key.startsWith(stackPrefix) && key.includes(`:${REFERENCES_VARIANT_PREFIX}`))
+  );
+  searchResults.deleteByPrefix(stackPrefix);
+};
+
+// Assets can be referenced from any entry, so an asset change drops all
+// cached entries and result pages of the stack.
+const invalidateStack = (stackApiKey) => {
+  entries.deleteByPrefix(`${stackApiKey}:`);
+  searchResults.deleteByPrefix(`${stackApiKey}:`);
+};
+
+const invalidateSearchResults = (stackApiKey) => {
+  searchResults.deleteByPrefix(`${stackApiKey}:`);
+};
+
+const getStats = () => {
+  const stats = {};
+  for (const [name, cache] of caches) {
+    stats[name] = cache.stats();
+  }
+  return stats;
+};
+
+module.exports = {
+  createCache,
+  embeddings,
+  searchResults,
+  entries,
+  entryKey,
+  entryVariant,
+  invalidateEntry,
+  invalidateStack,
+  invalidateSearchResults,
+  getStats,
+};
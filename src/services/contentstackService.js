@@ -90,6 +90,54 @@ const fetchContentTypes = async (stackApiKey) => {
   }
 };
 
+const masterLocales = new Map();
+
+const fetchMasterLocale = async (stackApiKey) => {
+  if (masterLocales.has(stackApiKey)) {
+    return masterLocales.get(stackApiKey);
+  }
+
+  try {
+    const response = await makeAuthenticatedRequest(stackApiKey, '/stacks');
+    const masterLocale = response.stack?.master_locale || 'en-us';
+    masterLocales.set(stackApiKey, masterLocale);
+    return masterLocale;
+  } catch (error) {
+    console.error('Failed to fetch master locale:', error.message);
+    throw error;
+  }
+};
+
+const fetchLocales = async (stackApiKey) => {
+  try {
+    const response = await makeAuthenticatedRequest(stackApiKey, '/locales');
+    return response.locales || [];
+  } catch (error) {
+    console.error('Failed to fetch locales:', error.message);
+    throw error;
+  }
+};
+
+// Without include_fallback the CMA can still answer a locale query with the
+// master-locale version of an unlocalized entry; keep only real localizations
+// that have been published to that locale.
+const fetchLocalizedEntries = async (stackApiKey, contentTypeUid, locale, environment = 'development') => {
+  const entries = await fetchEntriesByContentType(stackApiKey, contentTypeUid, environment, {
+    locale,
+    include_publish_details: true,
+  });
+
+  return entries.filter((entry) => {
+    if (entry.locale && entry.locale !== locale) {
+      return false;
+    }
+    if (!Array.isArray(entry.publish_details)) {
+      return true;
+    }
+    return entry.publish_details.some((details) => details.locale === locale);
+  });
+};
+
 const fetchEntriesByContentType = async (stackApiKey, contentTypeUid, environment = 'development', options = {}) => {
   try {
     const params = {
@@ -112,16 +160,19 @@ const fetchEntriesByContentType = async (stackApiKey, contentTypeUid, environmen
   }
 };
 
-const fetchEntryByUid = async (stackApiKey, contentTypeUid, entryUid, environment = 'development') => {
+const fetchEntryByUid = async (stackApiKey, contentTypeUid, entryUid, environment = 'development', locale = null) => {
   try {
-    console.log(`🔍 Fetching entry: ${entryUid} from ${contentTypeUid} in ${environment}`);
+    console.log(`🔍 Fetching entry: ${entryUid} from ${contentTypeUid} in ${environment}${locale ? ` (${locale})` : ''}`);
     
+    const params = { environment };
+    if (locale) {
+      params.locale = locale;
+    }
+
     const response = await makeAuthenticatedRequest(
       stackApiKey,
       `/content_types/${contentTypeUid}/entries/${entryUid}`,
-      {
-        params: { environment },
-      }
+      { params }
     );
 
     console.log(`Response structure:`, Object.keys(response || {}));
@@ -143,7 +194,60 @@ const fetchEntryByUid = async (stackApiKey, contentTypeUid, entryUid, environmen
   }
 };
 
-const fetchAllEntries = async (stackApiKey, environment = 'development') => {
+const MAX_ENTRIES_PER_REQUEST = 100;
+
+// Fetches entries of one content type by uid with a single `$in` query per
+// hundred uids. `only` limits the top-level fields returned (uid is always
+// kept) and `include` names reference fields to resolve.
+const fetchEntriesByUids = async (stackApiKey, contentTypeUid, entryUids, environment = 'development', options = {}) => {
+  const { locale, only, include } = options;
+  const uids = Array.from(new Set(entryUids));
+
+  if (uids.length === 0) {
+    return [];
+  }
+
+  const chunks = [];
+  for (let i = 0; i < uids.length; i += MAX_ENTRIES_PER_REQUEST) {
+    chunks.push(uids.slice(i, i + MAX_ENTRIES_PER_REQUEST));
+  }
+
+  try {
+    const responses = await Promise.all(
+      chunks.map((chunk) => {
+        const params = {
+          environment,
+          query: JSON.stringify({ uid: { $in: chunk } }),
+          limit: chunk.length,
+        };
+        if (locale) {
+          params.locale = locale;
+        }
+        if (Array.isArray(only) && only.length > 0) {
+          params['only[BASE][]'] = Array.from(new Set(['uid', ...only]));
+        }
+        if (Array.isArray(include) && include.length > 0) {
+          params['include[]'] = include;
+        }
+
+        return makeAuthenticatedRequest(
+          stackApiKey,
+          `/content_types/${contentTypeUid}/entries`,
+          { params }
+        );
+      })
+    );
+
+    return responses.flatMap((response) => response.entries || []);
+  } catch (error) {
+    console.error(`Failed to fetch ${uids.length} entries of ${contentTypeUid}:`, error.message);
+    throw error;
+  }
+};
+
+const fetchAllEntries = async (stackApiKey, environment = 'development', options = {}) => {
+  const { locales } = options;
+
   try {
     console.log(`Fetching all entries for stack: ${stackApiKey}`);
 
@@ -157,21 +261,45 @@ const fetchAllEntries = async (stackApiKey, environment = 'development') => {
     const entriesByContentType = [];
 
     for (const contentType of contentTypes) {
-      try {
-        const entries = await fetchEntriesByContentType(
-          stackApiKey,
-          contentType.uid,
-          environment
-        );
+      if (!Array.isArray(locales) || locales.length === 0) {
+        try {
+          const entries = await fetchEntriesByContentType(
+            stackApiKey,
+            contentType.uid,
+            environment
+          );
+
+          if (entries && entries.length > 0) {
+            entriesByContentType.push({
+              contentType: contentType.uid,
+              entries,
+            });
+          }
+        } catch (error) {
+          console.error(`Failed to fetch entries for content type ${contentType.uid}:`, error.message);
+        }
+        continue;
+      }
+
+      for (const locale of locales) {
+        try {
+          const entries = await fetchLocalizedEntries(
+            stackApiKey,
+            contentType.uid,
+            locale,
+            environment
+          );
 
-        if (entries && entries.length > 0) {
-          entriesByContentType.push({
-            contentType: contentType.uid,
-            entries,
-          });
+          if (entries.length > 0) {
+            entriesByContentType.push({
+              contentType: contentType.uid,
+              locale,
+              entries,
+            });
+          }
+        } catch (error) {
+          console.error(`Failed to fetch ${locale} entries for content type ${contentType.uid}:`, error.message);
         }
-      } catch (error) {
-        console.error(`Failed to fetch entries for content type ${contentType.uid}:`, error.message);
       }
     }
 
@@ -193,7 +321,11 @@ module.exports = {
   getValidAccessToken,
   makeAuthenticatedRequest,
   fetchContentTypes,
+  fetchMasterLocale,
+  fetchLocales,
+  fetchLocalizedEntries,
   fetchEntriesByContentType,
   fetchEntryByUid,
+  fetchEntriesByUids,
   fetchAllEntries,
 };
@@ -1,8 +1,11 @@
 const axios = require('axios');
 const config = require('../config');
 const { AppError } = require('../middleware/errorHandler');
+const cacheService = require('./cacheService');
 
-const generateTextEmbedding = async (text, inputType = 'search_document') => {
+const MAX_TEXTS_PER_REQUEST = 96;
+
+const validateText = (text) => {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     throw new AppError('Text is required and must be a non-empty string', 400);
   }
@@ -10,18 +13,18 @@ const generateTextEmbedding = async (text, inputType = 'search_document') => {
   if (text.length > 10000) {
     throw new AppError('Text length cannot exceed 10,000 characters', 400);
   }
+};
 
+const requestEmbeddings = async (texts, inputType) => {
   if (!config.apis.cohere.apiKey) {
     throw new AppError('Cohere API key not configured', 500);
   }
 
   try {
-    console.log('Generating text embedding for:', text.substring(0, 50) + '...');
-    
     const response = await axios.post(
       `${config.apis.cohere.baseUrl}/embed`,
       {
-        texts: [text.trim()],
+        texts: texts.map((text) => text.trim()),
         model: config.apis.cohere.models.embed,
         input_type: inputType,
         truncate: 'END',
@@ -35,13 +38,15 @@ const generateTextEmbedding = async (text, inputType = 'search_document') => {
       }
     );
 
-    const vector = response.data.embeddings?.[0];
-    if (!Array.isArray(vector) || vector.length === 0) {
+    const vectors = response.data.embeddings || [];
+    if (
+      vectors.length !== texts.length ||
+      vectors.some((vector) => !Array.isArray(vector) || vector.length === 0)
+    ) {
       throw new AppError('Invalid embedding response from Cohere API', 500);
     }
 
-    console.log('Text embedding generated successfully, vector length:', vector.length);
-    return vector;
+    return vectors;
   } catch (error) {
     console.error('Text embedding generation failed:', error.message);
 
@@ -57,6 +62,64 @@ const generateTextEmbedding = async (text, inputType = 'search_document') => {
   }
 };
 
+// Only query embeddings are cached; documents are embedded once at index time.
+const embeddingCacheKey = (text, inputType) =>
+  inputType === 'search_query'
+    ? `${config.apis.cohere.models.embed}:${inputType}:${text.trim().toLowerCase().replace(/\s+/g, ' ')}`
+    : null;
+
+const generateTextEmbedding = async (text, inputType = 'search_document') => {
+  validateText(text);
+
+  const cacheKey = embeddingCacheKey(text, inputType);
+  const cached = cacheKey ? cacheService.embeddings.get(cacheKey) : undefined;
+  if (cached) {
+    return cached;
+  }
+
+  console.log('Generating text embedding for:', text.substring(0, 50) + '...');
+  const [vector] = await requestEmbeddings([text], inputType);
+
+  console.log('Text embedding generated successfully, vector length:', vector.length);
+  if (cacheKey) {
+    cacheService.embeddings.set(cacheKey, vector);
+  }
+  return vector;
+};
+
+// Embeds several texts in one Cohere request; vectors come back in input order.
+const generateTextEmbeddings = async (texts, inputType = 'search_document') => {
+  if (!Array.isArray(texts) || texts.length === 0) {
+    throw new AppError('Texts must be a non-empty array', 400);
+  }
+
+  if (texts.length > MAX_TEXTS_PER_REQUEST) {
+    throw new AppError(`Cannot embed more than ${MAX_TEXTS_PER_REQUEST} texts at once`, 400);
+  }
+
+  texts.forEach(validateText);
+
+  const cacheKeys = texts.map((text) => embeddingCacheKey(text, inputType));
+  const vectors = cacheKeys.map((key) => (key ? cacheService.embeddings.get(key) : undefined));
+  const missing = texts
+    .map((text, position) => ({ text, position }))
+    .filter(({ position }) => !vectors[position]);
+
+  if (missing.length > 0) {
+    console.log(`Generating ${missing.length} text embeddings in one request`);
+    const generated = await requestEmbeddings(missing.map(({ text }) => text), inputType);
+    missing.forEach(({ position }, index) => {
+      vectors[position] = generated[index];
+      if (cacheKeys[position]) {
+        cacheService.embeddings.set(cacheKeys[position], generated[index]);
+      }
+    });
+  }
+
+  return vectors;
+};
+
 module.exports = {
   generateTextEmbedding,
+  generateTextEmbeddings,
 };
@@ -0,0 +1,71 @@
+const axios = require('axios');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+
+const generateContent = async (prompt, options = {}) => {
+  if (!config.apis.gemini?.apiKey) {
+    throw new AppError('Gemini API key not configured', 500);
+  }
+
+  if (!prompt || typeof prompt !== 'string') {
+    throw new AppError('Prompt must be a non-empty string', 400);
+  }
+
+  const { temperature, responseMimeType, timeout = 30000 } = options;
+  const generationConfig = {};
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (responseMimeType) generationConfig.responseMimeType = responseMimeType;
+
+  try {
+    const response = await axios.post(
+      `${config.apis.gemini.baseUrl}/models/${config.apis.gemini.model}:generateContent`,
+      {
+        contents: [{
+          parts: [{ text: prompt }]
+        }],
+        ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-goog-api-key': config.apis.gemini.apiKey
+        },
+        timeout,
+      }
+    );
+
+    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!text) {
+      throw new AppError('Invalid response from Gemini API', 502);
+    }
+    return text.trim();
+  } catch (error) {
+    if (error.isOperational) {
+      throw error;
+    }
+    if (error.response?.status === 429) {
+      throw new AppError('Rate limit exceeded for Gemini API', 429);
+    }
+    throw new AppError(`Gemini request failed: ${error.message}`, 503);
+  }
+};
+
+const generateJson = async (prompt, options = {}) => {
+  const text = await generateContent(prompt, {
+    temperature: 0,
+    ...options,
+    responseMimeType: 'application/json',
+  });
+
+  try {
+    return JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new AppError('Gemini returned malformed JSON', 502);
+  }
+};
+
+module.exports = {
+  generateContent,
+  generateJson,
+};
@@ -105,6 +105,53 @@ async function embedImageFromFile(imageBuffer, mimeType) {
   }
 }
 
+// Embeds text into the same space as the service's image embeddings, so a
+// description can be matched against indexed images.
+async function embedText(text) {
+  if (!text || typeof text !== "string") {
+    throw new AppError("Text required", 400);
+  }
+
+  try {
+    const response = await axios.post(
+      `${PYTHON_SERVICE_URL}/embed/text`,
+      { text },
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout: 30000,
+      }
+    );
+
+    const { embedding, dimensions, model } = response.data;
+
+    if (!embedding || !Array.isArray(embedding)) {
+      throw new Error("Invalid embedding format returned from Python service");
+    }
+
+    return {
+      embedding: padEmbeddingTo1536(embedding),
+      dimensions: dimensions,
+      model: model,
+      text,
+    };
+  } catch (error) {
+    if (error.response) {
+      console.error(
+        "Python service error:",
+        error.response.status,
+        error.response.data
+      );
+      throw new AppError(
+        `Text embedding failed: ${error.response.data?.error || "Unknown error"}`,
+        error.response.status
+      );
+    }
+
+    console.error("Cross-modal text embedding failed:", error.message);
+    throw new AppError("Failed to generate cross-modal text embedding", 500);
+  }
+}
+
 function padEmbeddingTo1536(embedding) {
   if (embedding.length === 1536) {
     return embedding;
@@ -142,5 +189,6 @@ checkPythonService().then((available) => {
 module.exports = {
   embedImage,
   embedImageFromFile,
+  embedText,
   checkPythonService,
 };
@@ -0,0 +1,178 @@
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const vectorSearchService = require('./vectorSearchService');
+const embeddingsService = require('./embeddingsService');
+const imageEmbeddingService = require('./imageEmbeddingService');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+
+// Image embeddings score lower than text ones, so matching stays permissive.
+const IMAGE_SIMILARITY_THRESHOLD = 0.1;
+
+const imageVectorId = (assetUid) => `image_${assetUid}`;
+// Companion vector holding a text embedding of the asset's descriptive
+// fields, so assets can be found by what their editors wrote about them.
+const imageTextVectorId = (assetUid) => `image_text_${assetUid}`;
+
+const formatImageMatch = (match, stackApiKey) => ({
+  uid: match.uid,
+  title: match.title,
+  url: match.url,
+  similarity: match.score,
+  type: 'image',
+  contentstack_url: `https://eu-app.contentstack.com/#!/stack/${stackApiKey}/assets/${match.uid}?branch=main`
+});
+
+const searchByEmbedding = async (embedding, limit, stackApiKey) => {
+  const searchResults = await vectorSearchService.search(
+    embedding,
+    limit,
+    { stackApiKey, type: 'image' },
+    IMAGE_SIMILARITY_THRESHOLD,
+    stackApiKey
+  );
+
+  if (!Array.isArray(searchResults)) {
+    return [];
+  }
+
+  return searchResults.map(match => formatImageMatch(match, stackApiKey));
+};
+
+const buildAssetText = (asset, tags) =>
+  [asset.title || asset.filename, asset.description, asset.alt, tags.join(', ')]
+    .filter((part) => typeof part === 'string' && part.trim())
+    .join('\n');
+
+// Indexes the image embedding of an asset and, alongside it, a text
+// embedding of its title, description, alt text and tags. The image vector
+// is what makes an asset indexed; a failure on the text vector is logged and
+// reported as textIndexed: false.
+const indexAsset = async (asset, stackApiKey) => {
+  const embeddingResult = await imageEmbeddingService.embedImage(asset.url);
+  const tags = (asset.tags || []).filter((tag) => typeof tag === 'string');
+  const assetText = buildAssetText(asset, tags);
+
+  const metadata = {
+    uid: asset.uid,
+    title: asset.title || asset.filename,
+    url: asset.url,
+    type: 'image',
+    stackApiKey,
+    description: asset.description || '',
+    alt: asset.alt || '',
+    ...(tags.length > 0 ? { tags } : {}),
+    content_type: asset.content_type,
+    file_size: asset.file_size,
+    width: asset.dimension?.width?.toString() || '0',
+    height: asset.dimension?.height?.toString() || '0',
+    created_at: asset.created_at,
+    updated_at: asset.updated_at
+  };
+
+  await vectorSearchService.indexEntry(
+    imageVectorId(asset.uid),
+    asset.title || asset.filename,
+    embeddingResult.embedding,
+    metadata,
+    stackApiKey
+  );
+
+  if (!assetText) {
+    return { textIndexed: false };
+  }
+
+  try {
+    await vectorSearchService.indexEntry(
+      imageTextVectorId(asset.uid),
+      assetText,
+      await embeddingsService.generateTextEmbedding(assetText),
+      { ...metadata, type: 'image_text' },
+      stackApiKey
+    );
+    return { textIndexed: true };
+  } catch (error) {
+    console.warn(`Failed to index descriptive text of image ${asset.uid}:`, error.message);
+    return { textIndexed: false, textError: error.message };
+  }
+};
+
+const removeAsset = (assetUid, stackApiKey) =>
+  vectorSearchService.deleteEntries(
+    [imageVectorId(assetUid), imageTextVectorId(assetUid)],
+    stackApiKey
+  );
+
+// Text-to-image search: a cross-modal embedding of the query matched against
+// the images themselves, fused by rank with a text embedding of the query
+// matched against the assets' descriptive fields. Either signal alone can
+// surface an asset, so the search goes on with the other one when the image
+// embedding service or Cohere is unavailable.
+const searchByText = async (query, limit, stackApiKey) => {
+  const candidatePool = Math.max(limit, config.search.textToImage.candidatePool);
+
+  const searchVisual = async () => {
+    if (!(await imageEmbeddingService.checkPythonService())) {
+      throw new AppError('Image embedding service is not available', 503);
+    }
+    const { embedding } = await imageEmbeddingService.embedText(query);
+    return vectorSearchService.search(
+      embedding,
+      candidatePool,
+      { stackApiKey, type: 'image' },
+      IMAGE_SIMILARITY_THRESHOLD,
+      stackApiKey
+    );
+  };
+
+  const searchMetadata = async () =>
+    vectorSearchService.search(
+      await embeddingsService.generateTextEmbedding(query, 'search_query'),
+      candidatePool,
+      { stackApiKey, type: 'image_text' },
+      config.search.candidateThreshold,
+      stackApiKey
+    );
+
+  const [visual, metadata] = await Promise.allSettled([searchVisual(), searchMetadata()]);
+  if (visual.status === 'rejected' && metadata.status === 'rejected') {
+    throw visual.reason;
+  }
+
+  const matchesOf = (name, outcome) => {
+    if (outcome.status === 'fulfilled') {
+      return outcome.value;
+    }
+    console.warn(`Text-to-image ${name} search failed, using the other signal only:`, outcome.reason.message);
+    return [];
+  };
+  const visualMatches = matchesOf('visual', visual);
+  const metadataMatches = matchesOf('metadata', metadata);
+
+  // Both vectors of an asset fuse under its uid.
+  const byAsset = (matches) => matches.map((match) => ({ ...match, id: match.uid }));
+
+  return reciprocalRankFusion([
+    { name: 'visual', results: byAsset(visualMatches), weight: config.search.textToImage.visualWeight },
+    { name: 'metadata', results: byAsset(metadataMatches), weight: config.search.textToImage.metadataWeight },
+  ])
+    .slice(0, limit)
+    .map((match) => ({
+      ...formatImageMatch(match, stackApiKey),
+      similarity: match.visualScore ?? null,
+      score: match.fusedScore,
+      description: match.description || undefined,
+      alt: match.alt || undefined,
+      tags: match.tags,
+      visualScore: match.visualScore,
+      metadataScore: match.metadataScore,
+      matchedBy: match.retrievers,
+    }));
+};
+
+module.exports = {
+  formatImageMatch,
+  searchByEmbedding,
+  searchByText,
+  indexAsset,
+  removeAsset,
+};
@@ -1,11 +1,25 @@
 const { AppError } = require('../middleware/errorHandler');
 const embeddingsService = require('./embeddingsService');
 const vectorSearchService = require('./vectorSearchService');
-const { extractTitleAndRTE, extractStructuredMetadata } = require('../utils/textCleaner');
+const keywordSearchService = require('./keywordSearchService');
+const cacheService = require('./cacheService');
+const metadataFieldService = require('./metadataFieldService');
+const IndexedEntry = require('../models/IndexedEntry');
+const {
+  extractTitleAndRTE,
+  extractStructuredMetadata,
+  extractFieldTexts,
+  extractDateMetadata,
+} = require('../utils/textCleaner');
 
 const batchSize = 50;
 
-const indexEntryWithImages = async (entry, contentType, stackApiKey = null) => {
+// Each localized version of an entry is its own vector; entries indexed
+// before locales were tracked keep the bare uid as their id.
+const buildVectorId = (entryUid, locale = null) =>
+  locale ? `${entryUid}:${locale}` : entryUid;
+
+const indexEntryWithImages = async (entry, contentType, stackApiKey = null, locale = entry.locale || null) => {
   try {
     let textIndexed = false;
     let imagesIndexed = 0;
@@ -17,21 +31,47 @@ const indexEntryWithImages = async (entry, contentType, stackApiKey = null) => {
     const cleanedText = extractTitleAndRTE(entry, contentType);
     if (cleanedText && cleanedText.trim().length > 0) {
       const embedding = await embeddingsService.generateTextEmbedding(cleanedText);
-      const metadata = extractStructuredMetadata(entry);
+      const metadata = {
+        ...extractStructuredMetadata(entry),
+        ...extractDateMetadata(entry),
+      };
       
       // Add essential metadata fields
       metadata.entryUid = entry.uid;
       metadata.contentType = contentType;
       metadata.title = entry.title || entry.name || 'Untitled';
       metadata.stackApiKey = stackApiKey;
+      if (locale) {
+        metadata.locale = locale;
+      }
+      if (Array.isArray(entry.tags) && entry.tags.length > 0) {
+        metadata.tags = entry.tags.filter(tag => typeof tag === 'string');
+      }
       
+      const vectorId = buildVectorId(entry.uid, locale);
+
       await vectorSearchService.indexEntry(
-        entry.uid,
+        vectorId,
         cleanedText,
         embedding,
         metadata,
         stackApiKey
       );
+
+      if (stackApiKey) {
+        await IndexedEntry.upsertForStack(stackApiKey, vectorId, {
+          entryUid: entry.uid,
+          contentType,
+          locale,
+          type: 'text',
+          title: metadata.title,
+          text: cleanedText,
+          fields: extractFieldTexts(entry),
+          metadata: { type: 'text', ...metadata },
+        });
+        keywordSearchService.invalidate(stackApiKey);
+        metadataFieldService.invalidate(stackApiKey);
+      }
       textIndexed = true;
     }
     return { textIndexed, imagesIndexed };
@@ -40,32 +80,72 @@ const indexEntryWithImages = async (entry, contentType, stackApiKey = null) => {
   }
 };
 
-const indexEntry = async (entry, contentType, stackApiKey = null) => {
-  const result = await indexEntryWithImages(entry, contentType, stackApiKey);
+const indexEntry = async (entry, contentType, stackApiKey = null, locale = entry.locale || null) => {
+  const result = await indexEntryWithImages(entry, contentType, stackApiKey, locale);
   return result.textIndexed;
 };
 
-const removeEntry = async (entryUid, stackApiKey = null) => {
+// With a locale only that localization is removed; without one every
+// localized vector of the entry goes.
+const removeEntry = async (entryUid, stackApiKey = null, locale = null) => {
   try {
     if (stackApiKey) {
       await vectorSearchService.setStackIndex(stackApiKey);
     }
-    await vectorSearchService.deleteEntry(entryUid, stackApiKey);
+
+    if (locale) {
+      await vectorSearchService.deleteEntry(buildVectorId(entryUid, locale), stackApiKey);
+      if (stackApiKey) {
+        await IndexedEntry.deleteOne({ stackApiKey, vectorId: buildVectorId(entryUid, locale) });
+        keywordSearchService.invalidate(stackApiKey);
+      }
+      return true;
+    }
+
+    const vectorIds = new Set([entryUid]);
+    if (stackApiKey) {
+      const indexed = await IndexedEntry.find({ stackApiKey, entryUid, type: 'text' })
+        .select('vectorId')
+        .lean();
+      indexed.forEach(({ vectorId }) => vectorIds.add(vectorId));
+    }
+    await vectorSearchService.deleteEntries(Array.from(vectorIds), stackApiKey);
+
+    if (stackApiKey) {
+      await IndexedEntry.deleteMany({ stackApiKey, entryUid, type: 'text' });
+      keywordSearchService.invalidate(stackApiKey);
+    }
     return true;
   } catch (error) {
     throw error;
   }
 };
 
-const updateEntry = async (entry, contentType) => {
+const updateEntry = async (entry, contentType, stackApiKey = null, locale = entry.locale || null) => {
   try {
-    await removeEntry(entry.uid);
-    return await indexEntry(entry, contentType);
+    await removeEntry(entry.uid, stackApiKey, locale);
+    return await indexEntry(entry, contentType, stackApiKey, locale);
   } catch (error) {
     throw error;
   }
 };
 
+const resolveLocales = async (stackApiKey, options) => {
+  const contentstackService = require('./contentstackService');
+
+  if (options.locale) {
+    return [options.locale];
+  }
+
+  try {
+    const locales = await contentstackService.fetchLocales(stackApiKey);
+    return locales.map((locale) => locale.code).filter(Boolean);
+  } catch (error) {
+    console.warn('Could not list stack locales, indexing the master locale only:', error.message);
+    return [];
+  }
+};
+
 const indexAllEntries = async (stackApiKey, environment, options = {}) => {
   try {
     const contentstackService = require('./contentstackService');
@@ -77,11 +157,12 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
       throw new AppError('No valid access token found for stack', 401);
     }
 
-    console.log('Fetching all entries...');
+    const locales = await resolveLocales(stackApiKey, options);
+    console.log(`Fetching all entries${locales.length ? ` for locales: ${locales.join(', ')}` : ''}...`);
     const allEntries = await contentstackService.fetchAllEntries(
       stackApiKey,
       environment,
-      options
+      { ...options, locales }
     );
 
     console.log(`Starting to process ${allEntries.length} content type groups...`);
@@ -95,7 +176,7 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
       const batch = allEntries.slice(i, i + batchSize);
       console.log(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(allEntries.length/batchSize)}`);
       
-      for (const { contentType, entries } of batch) {
+      for (const { contentType, locale, entries } of batch) {
         if (options.contentType && contentType !== options.contentType) {
           continue;
         }
@@ -106,7 +187,7 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
           const entry = entries[j];
           try {
             console.log(`Processing entry ${j + 1}/${entries.length}: ${entry.uid}`);
-            const result = await indexEntryWithImages(entry, contentType, stackApiKey);
+            const result = await indexEntryWithImages(entry, contentType, stackApiKey, locale || entry.locale || null);
             if (result.textIndexed) {
               indexed++;
               console.log(`Indexed entry: ${entry.uid}`);
@@ -121,6 +202,7 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
             errorsList.push({
               entryUid: entry.uid,
               contentType: contentType,
+              locale,
               error: error.message,
             });
           }
@@ -133,6 +215,7 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
       }
     }
 
+    cacheService.invalidateStack(stackApiKey);
     console.log('Indexing completed!');
     const result = {
       success: true,
@@ -154,6 +237,7 @@ const indexAllEntries = async (stackApiKey, environment, options = {}) => {
 };
 
 module.exports = {
+  buildVectorId,
   indexEntryWithImages,
   indexEntry,
   removeEntry,
@@ -0,0 +1,166 @@
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const IndexedEntry = require('../models/IndexedEntry');
+const { tokenizeText } = require('../utils/textCleaner');
+const { matchesFilter } = require('../utils/metadataFilter');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const stackIndexes = new Map();
+const pendingBuilds = new Map();
+
+const countTerms = (tokens) => {
+  const termFreqs = new Map();
+  for (const token of tokens) {
+    termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+  }
+  return termFreqs;
+};
+
+const buildIndex = async (stackApiKey) => {
+  const entries = await IndexedEntry.findByStack(stackApiKey);
+  const docFreqs = new Map();
+  let totalLength = 0;
+
+  const docs = entries.map((entry) => {
+    const tokens = tokenizeText(`${entry.title} ${entry.text}`);
+    const termFreqs = countTerms(tokens);
+
+    for (const term of termFreqs.keys()) {
+      docFreqs.set(term, (docFreqs.get(term) || 0) + 1);
+    }
+    totalLength += tokens.length;
+
+    return {
+      id: entry.vectorId,
+      contentType: entry.contentType,
+      metadata: entry.metadata || {},
+      termFreqs,
+      length: tokens.length,
+    };
+  });
+
+  console.log(`Built keyword index for stack ${stackApiKey}: ${docs.length} documents, ${docFreqs.size} terms`);
+
+  return {
+    builtAt: Date.now(),
+    docs,
+    docFreqs,
+    avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+  };
+};
+
+const getIndexForStack = async (stackApiKey) => {
+  if (!stackApiKey) {
+    throw new AppError('stackApiKey is required for keyword search', 400);
+  }
+
+  const cached = stackIndexes.get(stackApiKey);
+  if (cached && Date.now() - cached.builtAt < config.search.hybrid.keywordIndexTtlMs) {
+    return cached;
+  }
+
+  if (!pendingBuilds.has(stackApiKey)) {
+    pendingBuilds.set(
+      stackApiKey,
+      buildIndex(stackApiKey)
+        .then((index) => {
+          stackIndexes.set(stackApiKey, index);
+          return index;
+        })
+        .finally(() => pendingBuilds.delete(stackApiKey))
+    );
+  }
+
+  return pendingBuilds.get(stackApiKey);
+};
+
+const scoreDocument = (doc, queryTerms, index) => {
+  const totalDocs = index.docs.length;
+  let score = 0;
+
+  for (const term of queryTerms) {
+    const termFreq = doc.termFreqs.get(term);
+    if (!termFreq) continue;
+
+    const docFreq = index.docFreqs.get(term) || 0;
+    const idf = Math.log(1 + (totalDocs - docFreq + 0.5) / (docFreq + 0.5));
+    const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (index.avgLength || 1));
+
+    score += idf * ((termFreq * (BM25_K1 + 1)) / (termFreq + BM25_K1 * lengthNorm));
+  }
+
+  return score;
+};
+
+const search = async (query, topK = 5, metadataFilters = {}, stackApiKey = null) => {
+  if (!query || typeof query !== 'string') {
+    throw new AppError('Query is required and must be a string', 400);
+  }
+
+  try {
+    const index = await getIndexForStack(stackApiKey);
+    const queryTerms = Array.from(new Set(tokenizeText(query)));
+
+    if (queryTerms.length === 0 || index.docs.length === 0) {
+      return [];
+    }
+
+    const topDocs = index.docs
+      .filter((doc) => matchesFilter(doc.metadata, metadataFilters))
+      .map((doc) => ({ doc, score: scoreDocument(doc, queryTerms, index) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.doc.id.localeCompare(b.doc.id))
+      .slice(0, topK);
+
+    if (topDocs.length === 0) {
+      return [];
+    }
+
+    const texts = await IndexedEntry.find({
+      stackApiKey,
+      vectorId: { $in: topDocs.map(({ doc }) => doc.id) },
+    })
+      .select('vectorId text')
+      .lean();
+    const textById = new Map(texts.map((entry) => [entry.vectorId, entry.text]));
+
+    return topDocs.map(({ doc, score }) => ({
+      id: doc.id,
+      score,
+      text: textById.get(doc.id) || '',
+      contentType: doc.contentType || 'unknown',
+      ...doc.metadata,
+    }));
+  } catch (error) {
+    if (error.isOperational) {
+      throw error;
+    }
+    throw new AppError(`Keyword search failed: ${error.message}`, 500);
+  }
+};
+
+const getVocabulary = async (stackApiKey) => {
+  const index = await getIndexForStack(stackApiKey);
+  return index.docFreqs;
+};
+
+// Stacks indexed before entries were recorded in Mongo have no documents to
+// build a keyword index from until they are re-indexed.
+const hasDocuments = async (stackApiKey) => {
+  const index = await getIndexForStack(stackApiKey);
+  return index.docs.length > 0;
+};
+
+const invalidate = (stackApiKey) => {
+  stackIndexes.delete(stackApiKey);
+};
+
+module.exports = {
+  search,
+  getIndexForStack,
+  getVocabulary,
+  hasDocuments,
+  invalidate,
+};
@@ -0,0 +1,233 @@
+const config = require('../config');
+const MerchandisingRule = require('../models/MerchandisingRule');
+const IndexedEntry = require('../models/IndexedEntry');
+const embeddingsService = require('./embeddingsService');
+const cacheService = require('./cacheService');
+const { matchesFilter } = require('../utils/metadataFilter');
+
+const stackRules = new Map();
+
+const normalizeQuery = (query = '') => query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const cosineSimilarity = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+const loadRules = async (stackApiKey) => {
+  const cached = stackRules.get(stackApiKey);
+  if (cached && Date.now() - cached.loadedAt < config.search.merchandising.cacheTtlMs) {
+    return cached.rules;
+  }
+
+  const rules = await MerchandisingRule.findEnabledForStack(stackApiKey);
+  stackRules.set(stackApiKey, { rules, loadedAt: Date.now() });
+  return rules;
+};
+
+// Semantic rules are compared against the query embedding; it is generated
+// here only when retrieval did not already produce one (keyword mode).
+const findMatchingRules = async (stackApiKey, query, queryEmbedding = null) => {
+  const now = new Date();
+  const rules = (await loadRules(stackApiKey)).filter((rule) =>
+    MerchandisingRule.isWithinSchedule(rule, now)
+  );
+
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const normalizedQuery = normalizeQuery(query);
+  let embedding = queryEmbedding;
+
+  const matched = [];
+  for (const rule of rules) {
+    const { matchType, query: ruleQuery, similarityThreshold } = rule.condition;
+
+    if (matchType === 'exact' && normalizedQuery === ruleQuery) {
+      matched.push(rule);
+    } else if (matchType === 'contains' && ` ${normalizedQuery} `.includes(` ${ruleQuery} `)) {
+      matched.push(rule);
+    } else if (matchType === 'semantic' && Array.isArray(rule.queryEmbedding)) {
+      if (!embedding) {
+        embedding = await embeddingsService.generateTextEmbedding(query, 'search_query');
+      }
+      if (cosineSimilarity(embedding, rule.queryEmbedding) >= similarityThreshold) {
+        matched.push(rule);
+      }
+    }
+  }
+
+  return matched;
+};
+
+const getEntryUid = (result) => result.entryUid || result.id;
+
+const describeRule = (rule, action) => ({
+  ruleId: rule._id,
+  ruleName: rule.name,
+  action: action.type,
+});
+
+const tagResult = (result, rule, action) => ({
+  ...result,
+  merchandising: [...(result.merchandising || []), describeRule(rule, action)],
+});
+
+const loadPinnedEntries = async (stackApiKey, entryUids, metadataFilters) => {
+  if (entryUids.length === 0) {
+    return new Map();
+  }
+
+  const entries = await IndexedEntry.find({
+    stackApiKey,
+    type: 'text',
+    entryUid: { $in: entryUids },
+  })
+    .select('vectorId entryUid contentType text metadata')
+    .lean();
+
+  const pinned = new Map();
+  for (const entry of entries) {
+    if (pinned.has(entry.entryUid) || !matchesFilter(entry.metadata, metadataFilters)) continue;
+    pinned.set(entry.entryUid, {
+      id: entry.vectorId,
+      score: null,
+      text: entry.text,
+      contentType: entry.contentType,
+      ...entry.metadata,
+    });
+  }
+  return pinned;
+};
+
+// Order of operations: boosts and burials reshuffle the reranked list, hidden
+// entries are removed, then pins are placed at absolute positions.
+const applyRules = async (results, rules, { stackApiKey, metadataFilters = {} } = {}) => {
+  if (!rules || rules.length === 0) {
+    return { results, appliedRules: [] };
+  }
+
+  const fired = new Map();
+  const markFired = (rule) => fired.set(String(rule._id), { id: rule._id, name: rule.name });
+  let ranked = results.map((result) => ({
+    ...result,
+    rankingScore: result.finalScore ?? result.rerankScore ?? result.score ?? 0,
+  }));
+
+  for (const rule of rules) {
+    for (const action of rule.actions) {
+      if (action.type !== 'boost') continue;
+      ranked = ranked.map((result) => {
+        if (getEntryUid(result) !== action.entryUid) return result;
+        markFired(rule);
+        return tagResult({ ...result, rankingScore: result.rankingScore * action.factor }, rule, action);
+      });
+    }
+  }
+  ranked = ranked
+    .map((result, position) => ({ result, position }))
+    .sort((a, b) => b.result.rankingScore - a.result.rankingScore || a.position - b.position)
+    .map(({ result }) => result);
+
+  const buried = [];
+  const hidden = new Set();
+  for (const rule of rules) {
+    for (const action of rule.actions) {
+      if (action.type === 'hide') {
+        if (ranked.some((result) => getEntryUid(result) === action.entryUid)) {
+          markFired(rule);
+        }
+        hidden.add(action.entryUid);
+      }
+      if (action.type === 'bury') {
+        const index = ranked.findIndex((result) => getEntryUid(result) === action.entryUid);
+        if (index !== -1) {
+          markFired(rule);
+          buried.push(tagResult(ranked[index], rule, action));
+          ranked.splice(index, 1);
+        }
+      }
+    }
+  }
+  ranked = [...ranked, ...buried].filter((result) => !hidden.has(getEntryUid(result)));
+
+  const pins = [];
+  const pinnedUids = new Set();
+  for (const rule of rules) {
+    for (const action of rule.actions) {
+      if (action.type !== 'pin' || hidden.has(action.entryUid) || pinnedUids.has(action.entryUid)) continue;
+      pinnedUids.add(action.entryUid);
+      pins.push({ rule, action });
+    }
+  }
+
+  const missingUids = pins
+    .map(({ action }) => action.entryUid)
+    .filter((entryUid) => !ranked.some((result) => getEntryUid(result) === entryUid));
+  const loaded = await loadPinnedEntries(stackApiKey, missingUids, metadataFilters);
+
+  const pinnedResults = [];
+  for (const { rule, action } of pins) {
+    const index = ranked.findIndex((result) => getEntryUid(result) === action.entryUid);
+    const result = index !== -1 ? ranked.splice(index, 1)[0] : loaded.get(action.entryUid);
+    if (!result) continue;
+    markFired(rule);
+    pinnedResults.push({ position: action.position, result: tagResult(result, rule, action) });
+  }
+
+  pinnedResults
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ position, result }) => {
+      ranked.splice(Math.min(position - 1, ranked.length), 0, result);
+    });
+
+  return { results: ranked, appliedRules: Array.from(fired.values()) };
+};
+
+// previousCondition is the rule's condition before an update. The stored
+// embedding is not loaded with the rule, so it is regenerated only when the
+// rule is new or its query text or match type actually changed.
+const prepareRule = async (rule, previousCondition = null) => {
+  const needsEmbedding =
+    !previousCondition ||
+    previousCondition.matchType !== rule.condition?.matchType ||
+    previousCondition.query !== rule.condition?.query;
+
+  if (rule.condition?.matchType === 'semantic' && needsEmbedding) {
+    rule.queryEmbedding = await embeddingsService.generateTextEmbedding(
+      rule.condition.query,
+      'search_query'
+    );
+  }
+
+  if (rule.condition?.matchType !== 'semantic') {
+    rule.queryEmbedding = undefined;
+  }
+
+  return rule;
+};
+
+const invalidate = (stackApiKey) => {
+  stackRules.delete(stackApiKey);
+  cacheService.invalidateSearchResults(stackApiKey);
+};
+
+module.exports = {
+  findMatchingRules,
+  applyRules,
+  prepareRule,
+  invalidate,
+};
@@ -0,0 +1,79 @@
+const config = require('../config');
+const IndexedEntry = require('../models/IndexedEntry');
+
+const stackFields = new Map();
+
+// Set by indexEntryWithImages on every vector, so they are filterable even
+// before the stack's entries have been scanned.
+const BASE_FIELDS = {
+  entryUid: ['string'],
+  contentType: ['string'],
+  title: ['string'],
+  locale: ['string'],
+  tags: ['array'],
+};
+
+const BSON_TYPES = {
+  string: 'string',
+  double: 'number',
+  int: 'number',
+  long: 'number',
+  decimal: 'number',
+  bool: 'boolean',
+  array: 'array',
+};
+
+const scanFields = (stackApiKey) =>
+  IndexedEntry.aggregate([
+    { $match: { stackApiKey, type: 'text' } },
+    { $project: { fields: { $objectToArray: '$metadata' } } },
+    { $unwind: '$fields' },
+    { $group: { _id: '$fields.k', types: { $addToSet: { $type: '$fields.v' } } } },
+  ]);
+
+// Maps each metadata field indexed for the stack to the value types seen for
+// it ("string", "number", "boolean", "array"). Returns null when nothing is
+// indexed in Mongo yet, e.g. for stacks indexed before entries were tracked
+// there, so callers can skip the field check instead of rejecting every
+// filter.
+const getKnownFields = async (stackApiKey) => {
+  if (!stackApiKey) {
+    return null;
+  }
+
+  const cached = stackFields.get(stackApiKey);
+  if (cached && Date.now() - cached.loadedAt < config.search.filters.knownFieldsCacheTtlMs) {
+    return cached.fields;
+  }
+
+  const rows = await scanFields(stackApiKey);
+  let fields = null;
+
+  if (rows.length > 0) {
+    fields = new Map(
+      Object.entries(BASE_FIELDS).map(([name, types]) => [name, new Set(types)])
+    );
+
+    for (const { _id: name, types } of rows) {
+      const known = fields.get(name) || new Set();
+      types.forEach((type) => {
+        if (BSON_TYPES[type]) {
+          known.add(BSON_TYPES[type]);
+        }
+      });
+      fields.set(name, known);
+    }
+  }
+
+  stackFields.set(stackApiKey, { fields, loadedAt: Date.now() });
+  return fields;
+};
+
+const invalidate = (stackApiKey) => {
+  stackFields.delete(stackApiKey);
+};
+
+module.exports = {
+  getKnownFields,
+  invalidate,
+};
@@ -0,0 +1,70 @@
+const config = require('../config');
+const SearchLog = require('../models/SearchLog');
+const IndexedEntry = require('../models/IndexedEntry');
+const { matchesFilter } = require('../utils/metadataFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadFromSearches = async (stackApiKey) => {
+  const since = new Date(Date.now() - config.search.fallback.popularLookbackDays * DAY_MS);
+  const popular = await SearchLog.getPopularEntries(
+    stackApiKey,
+    config.search.fallback.popularPoolSize,
+    since
+  );
+  if (popular.length === 0) {
+    return [];
+  }
+
+  const positions = new Map(popular.map(({ entryUid }, position) => [entryUid, position]));
+  const entries = await IndexedEntry.find({
+    stackApiKey,
+    type: 'text',
+    entryUid: { $in: Array.from(positions.keys()) },
+  }).lean();
+
+  return entries.sort((a, b) => positions.get(a.entryUid) - positions.get(b.entryUid));
+};
+
+const loadRecent = (stackApiKey) =>
+  IndexedEntry.find({ stackApiKey, type: 'text' })
+    .sort({ updatedAt: -1 })
+    .limit(config.search.fallback.popularPoolSize)
+    .lean();
+
+// Entries most often returned by recent searches, or the most recently
+// indexed ones when the stack has no search history matching the filters.
+// Results have the shape of vector search matches so they can go through
+// the rest of the ranking pipeline.
+const findPopularEntries = async (stackApiKey, metadataFilters = {}, limit = 10) => {
+  for (const [basis, load] of [['searches', loadFromSearches], ['recent', loadRecent]]) {
+    const seen = new Set();
+    const entries = (await load(stackApiKey))
+      .filter((entry) => matchesFilter(entry.metadata || {}, metadataFilters))
+      .filter((entry) => {
+        if (seen.has(entry.entryUid)) return false;
+        seen.add(entry.entryUid);
+        return true;
+      })
+      .slice(0, limit);
+
+    if (entries.length > 0) {
+      return {
+        basis,
+        results: entries.map((entry, position) => ({
+          id: entry.vectorId,
+          score: 1 / (position + 1),
+          text: entry.text || '',
+          contentType: entry.contentType || 'unknown',
+          ...entry.metadata,
+        })),
+      };
+    }
+  }
+
+  return { basis: null, results: [] };
+};
+
+module.exports = {
+  findPopularEntries,
+};
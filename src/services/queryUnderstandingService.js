@@ -0,0 +1,159 @@
+const config = require('../config');
+const contentstackService = require('./contentstackService');
+const metadataFieldService = require('./metadataFieldService');
+const geminiService = require('./geminiService');
+const { translateFilters, RESERVED_FIELDS } = require('../utils/filterDsl');
+
+const stackContentTypes = new Map();
+
+const EXTRACTABLE_OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte'];
+// Filtering on these from free text does more harm than good.
+const SKIPPED_FIELDS = new Set(['entryUid', 'title']);
+const FALLBACK_FIELDS = new Map([['contentType', new Set(['string'])]]);
+const OPERATOR_SYMBOLS = { eq: '=', in: 'is one of', gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+const loadContentTypes = async (stackApiKey) => {
+  const cached = stackContentTypes.get(stackApiKey);
+  if (cached && Date.now() - cached.loadedAt < config.search.queryUnderstanding.cacheTtlMs) {
+    return cached.contentTypes;
+  }
+
+  const contentTypes = (await contentstackService.fetchContentTypes(stackApiKey))
+    .map(({ uid, title }) => ({ uid, title: title || uid }));
+  stackContentTypes.set(stackApiKey, { contentTypes, loadedAt: Date.now() });
+  return contentTypes;
+};
+
+const describeFieldType = (types) => {
+  if (types.has('number')) return 'number or date (give dates as YYYY-MM-DD)';
+  if (types.has('array')) return 'list of strings';
+  if (types.has('boolean')) return 'boolean';
+  return 'string';
+};
+
+const buildPrompt = (query, contentTypes, fields) => `You extract search filters from queries for a content management system.
+
+Content types (uid: title):
+${contentTypes.map(({ uid, title }) => `- ${uid}: ${title}`).join('\n')}
+
+Filterable fields (name: type):
+${fields.map(([name, types]) => `- ${name}: ${describeFieldType(types)}`).join('\n')}
+
+Today is ${new Date().toISOString().substring(0, 10)}.
+
+Query: "${query}"
+
+Extract only the filters the query states explicitly, such as a content type it names or a date range, using only the content type uids and fields listed above. Filter content types on the "contentType" field. Use the operators ${EXTRACTABLE_OPERATORS.join(', ')}; "in" takes a list of values. Return the rest of the query, without the words that became filters, as "query".
+Respond with JSON of the form {"query": "...", "filters": [{"field": "...", "operator": "...", "value": ...}]}.`;
+
+const formatChipValue = (field, value, contentTypes) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map((item) =>
+      field === 'contentType'
+        ? contentTypes.find((contentType) => contentType.uid === item)?.title || item
+        : String(item))
+    .join(', ');
+};
+
+// Keeps conditions on known fields and content types that the filter
+// language accepts on their own; the model's output is not trusted further.
+const toChips = (conditions, contentTypes, knownFields) => {
+  const contentTypeUids = new Set(contentTypes.map(({ uid }) => uid));
+
+  return (Array.isArray(conditions) ? conditions : []).flatMap((condition) => {
+    const { field, operator, value } = condition || {};
+    if (
+      typeof field !== 'string' ||
+      !knownFields.has(field) ||
+      SKIPPED_FIELDS.has(field) ||
+      RESERVED_FIELDS.has(field) ||
+      !EXTRACTABLE_OPERATORS.includes(operator)
+    ) {
+      return [];
+    }
+
+    if (
+      field === 'contentType' &&
+      (Array.isArray(value) ? value : [value]).some((uid) => !contentTypeUids.has(uid))
+    ) {
+      return [];
+    }
+
+    const filter = { [field]: { [operator]: value } };
+    try {
+      translateFilters(filter, { knownFields });
+    } catch (error) {
+      return [];
+    }
+
+    return [{
+      field,
+      operator,
+      value,
+      label: `${field === 'contentType' ? 'Content type' : field} ${OPERATOR_SYMBOLS[operator]} ${formatChipValue(field, value, contentTypes)}`,
+      filter,
+    }];
+  });
+};
+
+// Merges chips into the request's filters. Fields the request already filters
+// on are left alone, so explicit filters always win over extracted ones.
+const mergeChipFilters = (filters, chips) => {
+  const merged = { ...filters };
+  const applied = [];
+
+  for (const chip of chips) {
+    if (filters[chip.field] !== undefined) continue;
+
+    merged[chip.field] = { ...merged[chip.field], ...chip.filter[chip.field] };
+    applied.push(chip);
+  }
+
+  return { filters: merged, chips: applied };
+};
+
+// Splits a natural-language query into a semantic query and filters built
+// from the stack's content types and indexed metadata fields. Each extracted
+// filter comes back as a chip carrying its label and its filter-language
+// fragment, so a client can drop a chip by searching again with
+// understandQuery off and the remaining chips' filters. Falls back to the
+// query as given when extraction fails or finds nothing.
+const understandQuery = async (stackApiKey, query, filters = {}) => {
+  const unchanged = { query, filters, chips: [] };
+
+  try {
+    const [contentTypes, knownFields] = await Promise.all([
+      loadContentTypes(stackApiKey),
+      metadataFieldService.getKnownFields(stackApiKey),
+    ]);
+    const fields = knownFields || FALLBACK_FIELDS;
+    const promptFields = Array.from(fields)
+      .filter(([name]) => !SKIPPED_FIELDS.has(name) && !RESERVED_FIELDS.has(name))
+      .slice(0, config.search.queryUnderstanding.maxFields);
+
+    const response = await geminiService.generateJson(
+      buildPrompt(query, contentTypes, promptFields),
+      { timeout: 10000 }
+    );
+
+    const merged = mergeChipFilters(filters, toChips(response?.filters, contentTypes, fields));
+    if (merged.chips.length === 0) {
+      return unchanged;
+    }
+
+    const semanticQuery = typeof response.query === 'string' && response.query.trim()
+      ? response.query.trim()
+      : query;
+
+    console.log(`Understood "${query}" as "${semanticQuery}" with filters`, merged.filters);
+    return { query: semanticQuery, filters: merged.filters, chips: merged.chips };
+  } catch (error) {
+    console.warn('Query understanding failed', { error: error.message });
+    return unchanged;
+  }
+};
+
+module.exports = {
+  understandQuery,
+};
@@ -0,0 +1,43 @@
+const config = require('../config');
+const SearchSettings = require('../models/SearchSettings');
+const cacheService = require('./cacheService');
+const { mergeScoringConfig } = require('../utils/scoring');
+
+const stackSettings = new Map();
+
+const getSettings = async (stackApiKey) => {
+  const cached = stackSettings.get(stackApiKey);
+  if (cached && Date.now() - cached.loadedAt < config.search.settingsCacheTtlMs) {
+    return cached.settings;
+  }
+
+  const settings = await SearchSettings.findForStack(stackApiKey);
+  stackSettings.set(stackApiKey, { settings, loadedAt: Date.now() });
+  return settings;
+};
+
+const getScoringSettings = async (stackApiKey) => {
+  const settings = stackApiKey ? await getSettings(stackApiKey) : null;
+  return mergeScoringConfig(config.search.scoring, settings?.scoring || {});
+};
+
+const updateScoringSettings = async (stackApiKey, scoring) => {
+  const settings =
+    (await SearchSettings.findOne({ stackApiKey })) ||
+    new SearchSettings({ stackApiKey });
+
+  const current = settings.toObject({ flattenMaps: true }).scoring || {};
+  const merged = mergeScoringConfig(current, scoring);
+  settings.set('scoring', merged);
+  await settings.save();
+
+  stackSettings.delete(stackApiKey);
+  cacheService.invalidateSearchResults(stackApiKey);
+  return mergeScoringConfig(config.search.scoring, settings.toObject({ flattenMaps: true }).scoring);
+};
+
+module.exports = {
+  getSettings,
+  getScoringSettings,
+  updateScoringSettings,
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const SearchSession = require('../models/SearchSession');
+const geminiService = require('./geminiService');
+
+const createSession = (stackApiKey) =>
+  SearchSession.create({ stackApiKey, sessionId: crypto.randomUUID() });
+
+const getSession = async (stackApiKey, sessionId) => {
+  if (typeof sessionId !== 'string' || !sessionId.trim()) {
+    throw new AppError('sessionId must be a non-empty string', 400);
+  }
+
+  const session = await SearchSession.findOne({ stackApiKey, sessionId }).lean();
+  if (!session) {
+    throw new AppError('Search session not found or expired', 404);
+  }
+  return session;
+};
+
+const deleteSession = async (stackApiKey, sessionId) => {
+  const { deletedCount } = await SearchSession.deleteOne({ stackApiKey, sessionId });
+  if (deletedCount === 0) {
+    throw new AppError('Search session not found or expired', 404);
+  }
+};
+
+const buildRewritePrompt = (turns, query) => {
+  const history = turns
+    .map((turn, position) => {
+      const searchedAs = turn.rewrittenQuery ? ` (searched as "${turn.rewrittenQuery}")` : '';
+      const titles = (turn.results || []).map((result) => result.title).filter(Boolean);
+      return `${position + 1}. Query: "${turn.query}"${searchedAs}` +
+        (titles.length > 0 ? `\n   Top results: ${titles.join('; ')}` : '');
+    })
+    .join('\n');
+
+  return `You turn follow-up search queries into standalone search queries.
+
+Earlier searches in this session, oldest first:
+${history}
+
+Follow-up query: "${query}"
+
+If the follow-up depends on the earlier searches, rewrite it into a standalone search query in the same language, resolving references such as "it", "those" or "the blue one" from the earlier searches and their results. Otherwise return it unchanged.
+Respond with JSON of the form {"query": "..."}.`;
+};
+
+// Rewrites a follow-up into a query that makes sense on its own. The first
+// query of a session is used as is, and so is any query whose rewrite
+// fails: a literal search beats no search.
+const rewriteFollowUp = async (session, query) => {
+  const turns = session.turns.slice(-config.search.sessions.contextTurns);
+  if (turns.length === 0) {
+    return query;
+  }
+
+  try {
+    const response = await geminiService.generateJson(buildRewritePrompt(turns, query), {
+      timeout: 10000,
+    });
+    const rewritten = typeof response?.query === 'string' ? response.query.trim() : '';
+
+    return rewritten && rewritten.length <= config.validation.maxQueryLength
+      ? rewritten
+      : query;
+  } catch (error) {
+    console.warn('Follow-up query rewriting failed', { error: error.message });
+    return query;
+  }
+};
+
+// Resolves the query to search for within a session. Requesting a later page
+// (a cursor for the session's latest query) reuses that turn's rewrite
+// instead of starting a new turn.
+const resolveQuery = async (stackApiKey, sessionId, query, cursor) => {
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    throw new AppError('Query must be a non-empty string', 400);
+  }
+
+  const session = await getSession(stackApiKey, sessionId);
+  const lastTurn = session.turns[session.turns.length - 1];
+
+  if (cursor && lastTurn && lastTurn.query === query) {
+    return {
+      sessionId,
+      query,
+      searchQuery: lastTurn.rewrittenQuery || query,
+      rewrittenQuery: lastTurn.rewrittenQuery || null,
+      isNewTurn: false,
+    };
+  }
+
+  const searchQuery = await rewriteFollowUp(session, query);
+  if (searchQuery !== query) {
+    console.log(`Rewrote follow-up "${query}" as "${searchQuery}"`);
+  }
+
+  return {
+    sessionId,
+    query,
+    searchQuery,
+    rewrittenQuery: searchQuery !== query ? searchQuery : null,
+    isNewTurn: true,
+  };
+};
+
+// Stores the turn with its top results, which later rewrites use to resolve
+// references. The oldest turns are dropped past config.search.sessions.maxTurns.
+const recordTurn = async (stackApiKey, resolved, results = []) => {
+  if (!resolved?.isNewTurn) {
+    return;
+  }
+
+  try {
+    await SearchSession.updateOne(
+      { stackApiKey, sessionId: resolved.sessionId },
+      {
+        $push: {
+          turns: {
+            $each: [{
+              query: resolved.query,
+              rewrittenQuery: resolved.rewrittenQuery || undefined,
+              results: results
+                .slice(0, config.search.sessions.resultsPerTurn)
+                .map((result) => ({
+                  entryUid: result.uid || result.entryUid || result.id,
+                  contentType: result.contentType,
+                  title: result.title,
+                })),
+            }],
+            $slice: -config.search.sessions.maxTurns,
+          },
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Failed to record search session turn', {
+      sessionId: resolved.sessionId,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  deleteSession,
+  resolveQuery,
+  recordTurn,
+};
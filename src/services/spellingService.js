@@ -0,0 +1,125 @@
+const config = require('../config');
+const keywordSearchService = require('./keywordSearchService');
+const { STOP_WORDS } = require('../utils/textCleaner');
+
+const termsByLengthCache = new WeakMap();
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// abandoned early once every cell in a row exceeds maxDistance.
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const getTermsByLength = (vocabulary) => {
+  if (!termsByLengthCache.has(vocabulary)) {
+    const termsByLength = new Map();
+    for (const [term, frequency] of vocabulary) {
+      if (!/^\p{L}+$/u.test(term)) continue;
+      if (!termsByLength.has(term.length)) {
+        termsByLength.set(term.length, []);
+      }
+      termsByLength.get(term.length).push({ term, frequency });
+    }
+    termsByLengthCache.set(vocabulary, termsByLength);
+  }
+  return termsByLengthCache.get(vocabulary);
+};
+
+const findClosestTerm = (word, vocabulary) => {
+  const maxDistance = word.length <= config.search.spelling.shortWordLength ? 1 : 2;
+  const termsByLength = getTermsByLength(vocabulary);
+  let best = null;
+
+  for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+    for (const candidate of termsByLength.get(length) || []) {
+      const distance = editDistance(word, candidate.term, maxDistance);
+      if (distance > maxDistance) continue;
+
+      if (
+        !best ||
+        distance < best.distance ||
+        (distance === best.distance && candidate.frequency > best.frequency)
+      ) {
+        best = { ...candidate, distance };
+      }
+    }
+  }
+
+  return best;
+};
+
+const suggestCorrection = async (stackApiKey, query) => {
+  if (!query || typeof query !== 'string') {
+    return null;
+  }
+
+  const vocabulary = await keywordSearchService.getVocabulary(stackApiKey);
+  if (vocabulary.size === 0) {
+    return null;
+  }
+
+  const corrections = [];
+  const correctedQuery = query.replace(/\p{L}+/gu, (word) => {
+    const lowered = word.toLowerCase();
+
+    // Stop words never make it into the vocabulary, so they would otherwise
+    // always look misspelled ("for" -> "form").
+    if (
+      lowered.length < config.search.spelling.minWordLength ||
+      STOP_WORDS.has(lowered) ||
+      vocabulary.has(lowered)
+    ) {
+      return word;
+    }
+
+    const closest = findClosestTerm(lowered, vocabulary);
+    if (!closest) {
+      return word;
+    }
+
+    corrections.push({ original: word, suggestion: closest.term });
+    return closest.term;
+  });
+
+  if (corrections.length === 0) {
+    return null;
+  }
+
+  return { correctedQuery, corrections };
+};
+
+module.exports = {
+  suggestCorrection,
+};
@@ -0,0 +1,50 @@
+const config = require('../config');
+const SearchLog = require('../models/SearchLog');
+const IndexedEntry = require('../models/IndexedEntry');
+
+const getSuggestions = async (stackApiKey, prefix, limit = config.search.suggest.defaultLimit) => {
+  const normalizedPrefix = SearchLog.normalizeQuery(prefix);
+
+  if (normalizedPrefix.length < config.search.suggest.minPrefixLength) {
+    return [];
+  }
+
+  const [historicalQueries, titles] = await Promise.all([
+    SearchLog.getQuerySuggestions(stackApiKey, normalizedPrefix, limit, {
+      halfLifeDays: config.search.suggest.recencyHalfLifeDays,
+    }),
+    IndexedEntry.findTitlesByPrefix(stackApiKey, normalizedPrefix, limit),
+  ]);
+
+  const suggestions = [];
+  const seen = new Set();
+
+  for (const item of historicalQueries) {
+    if (seen.has(item.query)) continue;
+    seen.add(item.query);
+    suggestions.push({
+      text: item.query,
+      source: 'query',
+      count: item.count,
+      lastSearchedAt: item.lastSearchedAt,
+    });
+  }
+
+  for (const entry of titles) {
+    const normalizedTitle = SearchLog.normalizeQuery(entry.title);
+    if (seen.has(normalizedTitle)) continue;
+    seen.add(normalizedTitle);
+    suggestions.push({
+      text: entry.title,
+      source: 'title',
+      entryUid: entry.entryUid,
+      contentType: entry.contentType,
+    });
+  }
+
+  return suggestions.slice(0, limit);
+};
+
+module.exports = {
+  getSuggestions,
+};
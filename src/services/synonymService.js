@@ -0,0 +1,77 @@
+const config = require('../config');
+const SynonymSet = require('../models/SynonymSet');
+const cacheService = require('./cacheService');
+
+const stackSynonyms = new Map();
+
+const normalizeForMatching = (text = '') =>
+  ` ${text.toLowerCase().replace(/[^\p{L}\p{N}-]+/gu, ' ').trim()} `;
+
+const loadSynonymSets = async (stackApiKey) => {
+  const cached = stackSynonyms.get(stackApiKey);
+  if (cached && Date.now() - cached.loadedAt < config.search.synonyms.cacheTtlMs) {
+    return cached.sets;
+  }
+
+  const sets = await SynonymSet.findActiveByStack(stackApiKey);
+  stackSynonyms.set(stackApiKey, { sets, loadedAt: Date.now() });
+  return sets;
+};
+
+const containsTerm = (normalizedQuery, term) =>
+  normalizedQuery.includes(normalizeForMatching(term));
+
+const expandQuery = async (stackApiKey, query) => {
+  if (!stackApiKey || !query) {
+    return { expandedQuery: query, expansions: [] };
+  }
+
+  const sets = await loadSynonymSets(stackApiKey);
+  const normalizedQuery = normalizeForMatching(query);
+  const added = new Set();
+  const expansions = [];
+
+  for (const set of sets) {
+    let matchedTerm = null;
+    let candidates = [];
+
+    if (set.type === 'equivalent') {
+      matchedTerm = (set.terms || []).find((term) => containsTerm(normalizedQuery, term));
+      candidates = (set.terms || []).filter((term) => term !== matchedTerm);
+    } else if (set.type === 'one-way' && containsTerm(normalizedQuery, set.input)) {
+      matchedTerm = set.input;
+      candidates = set.synonyms || [];
+    }
+
+    if (!matchedTerm) continue;
+
+    const newTerms = candidates.filter(
+      (term) => !containsTerm(normalizedQuery, term) && !added.has(term)
+    );
+    newTerms.forEach((term) => added.add(term));
+
+    if (newTerms.length > 0) {
+      expansions.push({
+        synonymSetId: set._id,
+        type: set.type,
+        term: matchedTerm,
+        synonyms: newTerms,
+      });
+    }
+  }
+
+  return {
+    expandedQuery: added.size > 0 ? `${query} ${Array.from(added).join(' ')}` : query,
+    expansions,
+  };
+};
+
+const invalidate = (stackApiKey) => {
+  stackSynonyms.delete(stackApiKey);
+  cacheService.invalidateSearchResults(stackApiKey);
+};
+
+module.exports = {
+  expandQuery,
+  invalidate,
+};
@@ -1,6 +1,5 @@
-const axios = require('axios');
-const config = require('../config');
 const { AppError } = require('../middleware/errorHandler');
+const geminiService = require('./geminiService');
 
 const translateContent = async (content, targetLanguage, sourceLanguage = 'auto') => {
   if (!content || typeof content !== 'string') {
@@ -12,46 +11,40 @@ const translateContent = async (content, targetLanguage, sourceLanguage = 'auto'
   }
 
   try {
-    return await translateWithGemini(content, targetLanguage);
+    return await translateWithGemini(content, targetLanguage, sourceLanguage);
   } catch (error) {
     console.error('Gemini translation failed:', error.message);
     throw new AppError('Translation service unavailable', 503);
   }
 };
 
-const translateWithGemini = async (content, targetLanguage) => {
-  if (!config.apis.gemini?.apiKey) {
-    throw new Error('Gemini API key not configured');
-  }
+const translateWithGemini = async (content, targetLanguage, sourceLanguage = 'auto') => {
+  const source = sourceLanguage && sourceLanguage !== 'auto'
+    ? `from ${getLanguageName(sourceLanguage)} `
+    : '';
 
-  const response = await axios.post(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent`,
-    {
-      contents: [{
-        parts: [{
-          text: `Please translate the following text from English to ${getLanguageName(targetLanguage)}. Return only the translated text without any additional explanations:\n\n${content}`
-        }]
-      }]
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': config.apis.gemini.apiKey
-      },
-      timeout: 30000,
-    }
+  return geminiService.generateContent(
+    `Please translate the following text ${source}to ${getLanguageName(targetLanguage)}. Return only the translated text without any additional explanations:\n\n${content}`
   );
+};
 
-  const translatedText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-  
-  if (!translatedText) {
-    throw new Error('Invalid translation response from Gemini API');
+const detectLanguage = async (content) => {
+  if (!content || typeof content !== 'string') {
+    throw new AppError('Content must be a non-empty string', 400);
   }
-  return translatedText.trim();
+
+  const answer = await geminiService.generateContent(
+    `Identify the language of the following text. Respond with only its ISO 639-1 two-letter code in lowercase, nothing else:\n\n${content}`,
+    { temperature: 0, timeout: 10000 }
+  );
+
+  const code = answer.trim().toLowerCase().replace(/[^a-z]/g, '');
+  return /^[a-z]{2}$/.test(code) ? code : null;
 };
 
 const getLanguageName = (code) => {
   const languageMap = {
+    'en': 'English',
     'es': 'Spanish',
     'fr': 'French', 
     'de': 'German',
@@ -139,6 +132,7 @@ const getSupportedLanguages = () => {
 
 module.exports = {
   translateContent,
+  detectLanguage,
   translateEntry,
   getSupportedLanguages
 };
\ No newline at end of file
@@ -3,6 +3,9 @@ const config = require('../config');
 const { AppError } = require('../middleware/errorHandler');
 const pineconeIndexService = require('./pineconeIndexService');
 
+// Largest topK a single query may ask for.
+const MAX_TOP_K = 100;
+
 let pinecone = null;
 let index = null;
 let isInitialized = false;
@@ -102,8 +105,8 @@ const search = async (queryEmbedding, topK = 5, metadataFilters = {}, similarity
     throw new AppError('Query embedding must be a non-empty array', 400);
   }
 
-  if (topK < 1 || topK > 100) {
-    throw new AppError('topK must be between 1 and 100', 400);
+  if (topK < 1 || topK > MAX_TOP_K) {
+    throw new AppError(`topK must be between 1 and ${MAX_TOP_K}`, 400);
   }
 
   try {
@@ -151,7 +154,7 @@ const indexEntry = async (entryId, text, vector, metadata = {}, stackApiKey = nu
       id: entryId,
       values: vector,
       metadata: {
-        text: text?.substring(0, 40000) || '',
+        text: text?.substring(0, config.search.maxIndexedTextLength) || '',
         type: 'text',
         ...metadata,
       },
@@ -163,6 +166,21 @@ const indexEntry = async (entryId, text, vector, metadata = {}, stackApiKey = nu
   }
 };
 
+const fetchVectors = async (entryIds, stackApiKey = null) => {
+  await ensureInitialized(stackApiKey);
+
+  if (!Array.isArray(entryIds) || entryIds.length === 0) {
+    return {};
+  }
+
+  try {
+    const response = await index.fetch(entryIds);
+    return response.records || {};
+  } catch (error) {
+    throw new AppError(`Failed to fetch vectors: ${error.message}`, 500);
+  }
+};
+
 const deleteEntry = async (entryId, stackApiKey = null) => {
   await ensureInitialized(stackApiKey);
 
@@ -177,6 +195,20 @@ const deleteEntry = async (entryId, stackApiKey = null) => {
   }
 };
 
+const deleteEntries = async (entryIds, stackApiKey = null) => {
+  await ensureInitialized(stackApiKey);
+
+  if (!Array.isArray(entryIds) || entryIds.length === 0) {
+    return;
+  }
+
+  try {
+    await index.deleteMany(entryIds);
+  } catch (error) {
+    throw new AppError(`Failed to delete entries: ${error.message}`, 500);
+  }
+};
+
 const getIndexStats = async (stackApiKey = null) => {
   await ensureInitialized(stackApiKey);
 
@@ -205,8 +237,11 @@ const setStackIndex = async (stackApiKey) => {
 module.exports = {
   search,
   indexEntry,
+  fetchVectors,
   deleteEntry,
+  deleteEntries,
   getIndexStats,
   clearIndex,
-  setStackIndex
+  setStackIndex,
+  MAX_TOP_K
 };
@@ -0,0 +1,55 @@
+const { generateSnippets } = require("./snippetGenerator");
+
+const EXCERPT_LENGTH = 300;
+
+// Summarises how a single hit was retrieved and ranked. Relies on the fields
+// each pipeline stage leaves on the result (retriever scores, rerank score,
+// scoring breakdown, merchandising tags).
+function buildExplanation(result, finalRank, { query, similarityThreshold, maxIndexedTextLength }) {
+  const text = result.text || "";
+  const [passage] = generateSnippets([{ name: "text", text }], query, {
+    maxSnippets: 1,
+  });
+
+  return {
+    finalRank,
+    retrievers: result.retrievers || [],
+    vector:
+      result.vectorScore !== undefined
+        ? {
+            score: result.vectorScore,
+            rank: result.vectorRank ?? null,
+            similarityThreshold,
+          }
+        : null,
+    keyword:
+      result.keywordScore !== undefined
+        ? {
+            score: result.keywordScore,
+            rank: result.keywordRank ?? null,
+          }
+        : null,
+    fusedScore: result.fusedScore ?? null,
+    rerankScore: result.rerankScore ?? null,
+    scoring: result.scoring || null,
+    merchandising: result.merchandising || [],
+    indexedText: {
+      length: text.length,
+      possiblyTruncated: text.length >= maxIndexedTextLength,
+      excerpt: text.substring(0, EXCERPT_LENGTH),
+      bestMatchingPassage: passage ? passage.text : null,
+    },
+  };
+}
+
+function attachExplanations(results, offset, context) {
+  return results.map((result, index) => ({
+    ...result,
+    explanation: buildExplanation(result, offset + index + 1, context),
+  }));
+}
+
+module.exports = {
+  buildExplanation,
+  attachExplanations,
+};
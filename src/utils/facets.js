@@ -0,0 +1,58 @@
+const { AppError } = require("../middleware/errorHandler");
+const config = require("../config");
+
+const NON_FACETABLE_FIELDS = new Set(["text", "stackApiKey", "entryUid", "type"]);
+
+function validateFacetFields(facets) {
+  if (facets == null) {
+    return [];
+  }
+
+  if (!Array.isArray(facets) || facets.some((field) => typeof field !== "string" || !field.trim())) {
+    throw new AppError("facets must be an array of field names", 400);
+  }
+
+  if (facets.length > config.validation.maxFiltersCount) {
+    throw new AppError(
+      `Cannot request more than ${config.validation.maxFiltersCount} facets`,
+      400
+    );
+  }
+
+  const invalidFields = facets.filter((field) => NON_FACETABLE_FIELDS.has(field));
+  if (invalidFields.length > 0) {
+    throw new AppError(`Fields cannot be used as facets: ${invalidFields.join(", ")}`, 400);
+  }
+
+  return Array.from(new Set(facets.map((field) => field.trim())));
+}
+
+function computeFacets(results, fields, size = config.search.facets.defaultSize) {
+  const facets = {};
+
+  for (const field of fields) {
+    const counts = new Map();
+
+    for (const result of results) {
+      const raw = result[field];
+      const values = Array.isArray(raw) ? raw : [raw];
+
+      for (const value of new Set(values)) {
+        if (typeof value !== "string" || value.length === 0) continue;
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    facets[field] = Array.from(counts.entries())
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, size);
+  }
+
+  return facets;
+}
+
+module.exports = {
+  validateFacetFields,
+  computeFacets,
+};
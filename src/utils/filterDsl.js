@@ -0,0 +1,213 @@
+const { AppError } = require("../middleware/errorHandler");
+const config = require("../config");
+
+// Search filter language, translated to Pinecone's metadata filter syntax.
+//
+//   { "<field>": <value> }                 equal to value
+//   { "<field>": [<v1>, <v2>] }            any of the values (facet selections)
+//   { "<field>": { "<op>": <value>, ... } } every operator must hold
+//   { "and": [<filter>, ...] }             every sub-filter must hold
+//   { "or": [<filter>, ...] }              at least one sub-filter must hold
+//
+// Operators: eq, ne (string, number or boolean), in, nin (non-empty array of
+// strings or numbers), gt, gte, lt, lte (number, or an ISO date for date
+// fields, which are indexed as epoch milliseconds) and exists (boolean).
+// Operators may also be written with Pinecone's "$" prefix. Sibling keys are
+// combined with AND. Null or empty shorthand values are ignored so facet UIs
+// can send unselected fields.
+
+const SCALAR_OPERATORS = new Set(["eq", "ne"]);
+const LIST_OPERATORS = new Set(["in", "nin"]);
+const RANGE_OPERATORS = new Set(["gt", "gte", "lt", "lte"]);
+const OPERATORS = new Set([...SCALAR_OPERATORS, ...LIST_OPERATORS, ...RANGE_OPERATORS, "exists"]);
+const LOGICAL_KEYS = new Set(["and", "or", "$and", "$or"]);
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Fields the server sets itself or that hold indexed text.
+const RESERVED_FIELDS = new Set(["text", "stackApiKey", "type"]);
+
+function invalid(path, message) {
+  return new AppError(`Invalid filter at ${path}: ${message}`, 400);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isScalar(value) {
+  return typeof value === "string" || typeof value === "boolean" || isFiniteNumber(value);
+}
+
+function translateRangeValue(value, path) {
+  if (isFiniteNumber(value)) {
+    return value;
+  }
+
+  if (typeof value === "string" && ISO_DATE_PATTERN.test(value)) {
+    const timestamp = Date.parse(value);
+    if (!Number.isNaN(timestamp)) {
+      return timestamp;
+    }
+  }
+
+  throw invalid(path, "range operators need a number or an ISO date");
+}
+
+function translateCondition(field, condition, path, context) {
+  const fieldTypes = context.knownFields ? context.knownFields.get(field) : null;
+
+  if (RESERVED_FIELDS.has(field)) {
+    throw invalid(path, `"${field}" cannot be filtered on`);
+  }
+
+  if (context.knownFields && !fieldTypes) {
+    const knownNames = Array.from(context.knownFields.keys())
+      .filter((name) => !RESERVED_FIELDS.has(name))
+      .sort();
+    throw invalid(
+      path,
+      `unknown field "${field}". Known fields: ${knownNames.slice(0, 20).join(", ")}${knownNames.length > 20 ? ", ..." : ""}`
+    );
+  }
+
+  if (Array.isArray(condition)) {
+    if (condition.length === 0) return null;
+    return translateCondition(field, { in: condition }, path, context);
+  }
+
+  if (!isPlainObject(condition)) {
+    if (condition === null || condition === undefined || condition === "") return null;
+    return translateCondition(field, { eq: condition }, path, context);
+  }
+
+  const operators = Object.entries(condition);
+  if (operators.length === 0) {
+    throw invalid(path, "expected at least one operator");
+  }
+
+  const translated = {};
+  for (const [rawOperator, value] of operators) {
+    const operator = rawOperator.startsWith("$") ? rawOperator.slice(1) : rawOperator;
+    const operatorPath = `${path}.${rawOperator}`;
+
+    if (!OPERATORS.has(operator)) {
+      throw invalid(
+        operatorPath,
+        `unknown operator "${rawOperator}". Expected one of: ${Array.from(OPERATORS).join(", ")}`
+      );
+    }
+
+    if (SCALAR_OPERATORS.has(operator) && !isScalar(value)) {
+      throw invalid(operatorPath, "expected a string, number or boolean");
+    }
+
+    if (LIST_OPERATORS.has(operator)) {
+      if (
+        !Array.isArray(value) ||
+        value.length === 0 ||
+        value.some((item) => typeof item !== "string" && !isFiniteNumber(item))
+      ) {
+        throw invalid(operatorPath, "expected a non-empty array of strings or numbers");
+      }
+      if (value.length > config.search.filters.maxListValues) {
+        throw invalid(
+          operatorPath,
+          `cannot list more than ${config.search.filters.maxListValues} values`
+        );
+      }
+    }
+
+    if (RANGE_OPERATORS.has(operator)) {
+      if (fieldTypes && !fieldTypes.has("number")) {
+        throw invalid(operatorPath, `"${field}" is not a numeric or date field`);
+      }
+      translated[`$${operator}`] = translateRangeValue(value, operatorPath);
+      continue;
+    }
+
+    if (operator === "exists" && typeof value !== "boolean") {
+      throw invalid(operatorPath, "expected true or false");
+    }
+
+    translated[`$${operator}`] = value;
+  }
+
+  context.conditions++;
+  return translated;
+}
+
+function translateNode(node, path, context, depth) {
+  if (!isPlainObject(node)) {
+    throw invalid(path, "expected an object");
+  }
+
+  if (depth > config.search.filters.maxDepth) {
+    throw invalid(path, `filters cannot be nested more than ${config.search.filters.maxDepth} levels deep`);
+  }
+
+  const translated = {};
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = `${path}.${key}`;
+
+    if (LOGICAL_KEYS.has(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw invalid(keyPath, "expected a non-empty array of filters");
+      }
+
+      const clauses = value
+        .map((clause, index) => translateNode(clause, `${keyPath}[${index}]`, context, depth + 1))
+        .filter((clause) => Object.keys(clause).length > 0);
+
+      if (clauses.length > 0) {
+        const operator = key.startsWith("$") ? key : `$${key}`;
+        translated[operator] = [...(translated[operator] || []), ...clauses];
+      }
+      continue;
+    }
+
+    if (key.startsWith("$")) {
+      throw invalid(keyPath, `unknown logical operator "${key}". Expected "and" or "or"`);
+    }
+
+    const condition = translateCondition(key, value, keyPath, context);
+    if (condition) {
+      translated[key] = condition;
+    }
+  }
+
+  return translated;
+}
+
+// knownFields maps each filterable field to the set of value types seen in
+// the index ("string", "number", "boolean", "array"); pass null to skip the
+// field check.
+function translateFilters(filters, { knownFields = null } = {}) {
+  if (filters === undefined || filters === null) {
+    return {};
+  }
+
+  if (!isPlainObject(filters)) {
+    throw new AppError("Filters must be an object", 400);
+  }
+
+  const context = { knownFields, conditions: 0 };
+  const translated = translateNode(filters, "filters", context, 1);
+
+  if (context.conditions > config.validation.maxFiltersCount) {
+    throw new AppError(
+      `Cannot apply more than ${config.validation.maxFiltersCount} filter conditions`,
+      400
+    );
+  }
+
+  return translated;
+}
+
+module.exports = {
+  translateFilters,
+  RESERVED_FIELDS,
+};
@@ -0,0 +1,63 @@
+// Evaluates Pinecone-style metadata filters against plain objects so that
+// retrievers which do not live in Pinecone honour the same filters.
+
+function compareValues(actual, operator, expected) {
+  const values = Array.isArray(actual) ? actual : [actual];
+
+  switch (operator) {
+    case "$eq":
+      return values.some((value) => value === expected);
+    case "$ne":
+      return values.every((value) => value !== expected);
+    case "$in":
+      return values.some((value) => expected.includes(value));
+    case "$nin":
+      return values.every((value) => !expected.includes(value));
+    case "$gt":
+      return values.some((value) => value > expected);
+    case "$gte":
+      return values.some((value) => value >= expected);
+    case "$lt":
+      return values.some((value) => value < expected);
+    case "$lte":
+      return values.some((value) => value <= expected);
+    case "$exists":
+      return expected ? actual !== undefined : actual === undefined;
+    default:
+      return false;
+  }
+}
+
+function matchesFilter(metadata = {}, filter = {}) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") {
+      return condition.every((clause) => matchesFilter(metadata, clause));
+    }
+
+    if (key === "$or") {
+      return condition.some((clause) => matchesFilter(metadata, clause));
+    }
+
+    const actual = metadata[key];
+
+    if (condition !== null && typeof condition === "object" && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, expected]) =>
+        compareValues(actual, operator, expected)
+      );
+    }
+
+    if (Array.isArray(condition)) {
+      return compareValues(actual, "$in", condition);
+    }
+
+    return compareValues(actual, "$eq", condition);
+  });
+}
+
+module.exports = {
+  matchesFilter,
+};
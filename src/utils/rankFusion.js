@@ -0,0 +1,81 @@
+const config = require("../config");
+
+// Reciprocal rank fusion: every retriever contributes weight / (k + rank) for
+// each hit, so lists with incomparable raw scores can be merged safely. The
+// fused score is kept in `fusedScore`; `score` is left as the first list that
+// found the hit reported it, with every list's own score under `<name>Score`.
+function reciprocalRankFusion(rankedLists, k = config.search.hybrid.rrfK) {
+  const fused = new Map();
+
+  for (const { name, results = [], weight = 1 } of rankedLists) {
+    results.forEach((result, position) => {
+      const existing = fused.get(result.id);
+      const contribution = weight / (k + position + 1);
+
+      if (existing) {
+        fused.set(result.id, {
+          ...result,
+          ...existing,
+          fusedScore: existing.fusedScore + contribution,
+          retrievers: [...existing.retrievers, name],
+          [`${name}Score`]: result.score,
+          [`${name}Rank`]: position + 1,
+        });
+        return;
+      }
+
+      fused.set(result.id, {
+        ...result,
+        fusedScore: contribution,
+        retrievers: [name],
+        [`${name}Score`]: result.score,
+        [`${name}Rank`]: position + 1,
+      });
+    });
+  }
+
+  return Array.from(fused.values()).sort(
+    (a, b) => b.fusedScore - a.fusedScore || a.id.localeCompare(b.id)
+  );
+}
+
+// Merges candidate lists retrieved for different phrasings of the same query
+// (e.g. original and translated). Unlike reciprocalRankFusion it keeps each
+// hit's retriever scores intact and records which phrasings matched it.
+function mergeQueryVariants(variants, k = config.search.hybrid.rrfK) {
+  const merged = new Map();
+
+  for (const { name, results = [] } of variants) {
+    results.forEach((result, position) => {
+      const contribution = 1 / (k + position + 1);
+      const existing = merged.get(result.id);
+
+      if (existing) {
+        existing.variantScore += contribution;
+        existing.result = {
+          ...result,
+          ...existing.result,
+          retrievers: Array.from(
+            new Set([...(existing.result.retrievers || []), ...(result.retrievers || [])])
+          ),
+          queryVariants: [...existing.result.queryVariants, name],
+        };
+        return;
+      }
+
+      merged.set(result.id, {
+        variantScore: contribution,
+        result: { ...result, queryVariants: [name] },
+      });
+    });
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.variantScore - a.variantScore || a.result.id.localeCompare(b.result.id))
+    .map(({ result }) => result);
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  mergeQueryVariants,
+};
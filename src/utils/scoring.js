@@ -0,0 +1,157 @@
+const { AppError } = require("../middleware/errorHandler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MODIFIERS = {
+  none: (value) => value,
+  log1p: (value) => Math.log1p(Math.max(value, 0)),
+  sqrt: (value) => Math.sqrt(Math.max(value, 0)),
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function assertNumber(value, name, { min = -Infinity, max = Infinity } = {}) {
+  if (typeof value !== "number" || Number.isNaN(value) || value < min || value > max) {
+    throw new AppError(`${name} must be a number between ${min} and ${max}`, 400);
+  }
+}
+
+// Validates a (partial) scoring configuration, e.g. a per-request override.
+function validateScoringConfig(scoring) {
+  if (scoring == null) {
+    return {};
+  }
+
+  if (!isPlainObject(scoring)) {
+    throw new AppError("scoring must be an object", 400);
+  }
+
+  const { recency, fieldBoosts, contentTypeWeights } = scoring;
+
+  if (recency !== undefined) {
+    if (!isPlainObject(recency)) {
+      throw new AppError("scoring.recency must be an object", 400);
+    }
+    if (recency.enabled !== undefined && typeof recency.enabled !== "boolean") {
+      throw new AppError("scoring.recency.enabled must be a boolean", 400);
+    }
+    if (recency.field !== undefined && (typeof recency.field !== "string" || !recency.field)) {
+      throw new AppError("scoring.recency.field must be a non-empty string", 400);
+    }
+    if (recency.halfLifeDays !== undefined) {
+      assertNumber(recency.halfLifeDays, "scoring.recency.halfLifeDays", { min: 1, max: 36500 });
+    }
+    if (recency.weight !== undefined) {
+      assertNumber(recency.weight, "scoring.recency.weight", { min: 0, max: 1 });
+    }
+  }
+
+  if (fieldBoosts !== undefined) {
+    if (!Array.isArray(fieldBoosts)) {
+      throw new AppError("scoring.fieldBoosts must be an array", 400);
+    }
+    fieldBoosts.forEach((boost, index) => {
+      if (!isPlainObject(boost) || typeof boost.field !== "string" || !boost.field) {
+        throw new AppError(`scoring.fieldBoosts[${index}].field is required`, 400);
+      }
+      assertNumber(boost.factor, `scoring.fieldBoosts[${index}].factor`, { min: 0, max: 100 });
+      if (boost.modifier !== undefined && !MODIFIERS[boost.modifier]) {
+        throw new AppError(
+          `scoring.fieldBoosts[${index}].modifier must be one of ${Object.keys(MODIFIERS).join(", ")}`,
+          400
+        );
+      }
+    });
+  }
+
+  if (contentTypeWeights !== undefined) {
+    if (!isPlainObject(contentTypeWeights)) {
+      throw new AppError("scoring.contentTypeWeights must be an object", 400);
+    }
+    for (const [contentType, weight] of Object.entries(contentTypeWeights)) {
+      assertNumber(weight, `scoring.contentTypeWeights.${contentType}`, { min: 0, max: 100 });
+    }
+  }
+
+  return scoring;
+}
+
+function mergeScoringConfig(base = {}, override = {}) {
+  return {
+    recency: { ...(base.recency || {}), ...(override.recency || {}) },
+    fieldBoosts: override.fieldBoosts || base.fieldBoosts || [],
+    contentTypeWeights: {
+      ...(base.contentTypeWeights || {}),
+      ...(override.contentTypeWeights || {}),
+    },
+  };
+}
+
+function isScoringActive(scoring) {
+  return Boolean(
+    scoring.recency?.enabled ||
+      scoring.fieldBoosts?.length ||
+      Object.keys(scoring.contentTypeWeights || {}).length
+  );
+}
+
+function scoreResult(result, scoring, now) {
+  const baseScore = result.rerankScore ?? result.score ?? 0;
+  let recencyMultiplier = 1;
+  let fieldBoostMultiplier = 1;
+
+  const { recency } = scoring;
+  if (recency?.enabled) {
+    const timestamp = result[recency.field];
+    if (typeof timestamp === "number") {
+      const ageDays = Math.max(0, (now - timestamp) / DAY_MS);
+      const decay = Math.pow(0.5, ageDays / recency.halfLifeDays);
+      // weight blends between "ignore age" (0) and "pure decay" (1).
+      recencyMultiplier = 1 - recency.weight + recency.weight * decay;
+    }
+  }
+
+  const fieldBoosts = [];
+  for (const boost of scoring.fieldBoosts || []) {
+    const value = result[boost.field];
+    if (typeof value !== "number") continue;
+    const modified = MODIFIERS[boost.modifier || "log1p"](value);
+    const multiplier = 1 + boost.factor * modified;
+    fieldBoostMultiplier *= multiplier;
+    fieldBoosts.push({ field: boost.field, value, multiplier });
+  }
+
+  const contentTypeWeight = scoring.contentTypeWeights?.[result.contentType] ?? 1;
+  const finalScore = baseScore * recencyMultiplier * fieldBoostMultiplier * contentTypeWeight;
+
+  return {
+    ...result,
+    finalScore,
+    scoring: {
+      baseScore,
+      recencyMultiplier,
+      fieldBoosts,
+      contentTypeWeight,
+      finalScore,
+    },
+  };
+}
+
+function applyScoring(results, scoring, now = Date.now()) {
+  if (!results || results.length === 0 || !isScoringActive(scoring)) {
+    return results;
+  }
+
+  return results
+    .map((result, position) => ({ result: scoreResult(result, scoring, now), position }))
+    .sort((a, b) => b.result.finalScore - a.result.finalScore || a.position - b.position)
+    .map(({ result }) => result);
+}
+
+module.exports = {
+  validateScoringConfig,
+  mergeScoringConfig,
+  applyScoring,
+};
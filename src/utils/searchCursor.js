@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const { AppError } = require("../middleware/errorHandler");
+
+// Cursors are opaque to clients: an offset into the reranked candidate list
+// plus a fingerprint of the request that produced it, so a cursor cannot be
+// replayed against a different query or filter set.
+function createQueryFingerprint(parts) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(parts))
+    .digest("hex")
+    .substring(0, 16);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor, fingerprint) {
+  if (cursor == null || cursor === "") {
+    return 0;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw new AppError("Invalid pagination cursor", 400);
+  }
+
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new AppError("Invalid pagination cursor", 400);
+  }
+
+  if (decoded.f !== fingerprint) {
+    throw new AppError(
+      "Pagination cursor does not match this query and filters",
+      400
+    );
+  }
+
+  return decoded.o;
+}
+
+module.exports = {
+  createQueryFingerprint,
+  encodeCursor,
+  decodeCursor,
+};
@@ -1,13 +1,174 @@
 const contentstackService = require("../services/contentstackService");
+const cacheService = require("../services/cacheService");
 const OAuthToken = require("../models/OAuthToken");
 const SearchLog = require("../models/SearchLog");
+const IndexedEntry = require("../models/IndexedEntry");
 const { AppError } = require("../middleware/errorHandler");
+const { generateSnippets } = require("./snippetGenerator");
 
+const MAX_ENRICHMENT_FIELDS = 50;
+const FIELD_PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+// Validates the request's `fields` (top-level fields to return) and
+// `includeReferences` (reference fields to resolve) into the `only` and
+// `include` options understood by enrichment.
+function parseEnrichmentOptions({ fields, includeReferences } = {}) {
+  const parseList = (value, name) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    if (
+      !Array.isArray(value) ||
+      value.length > MAX_ENRICHMENT_FIELDS ||
+      value.some((item) => typeof item !== "string" || !FIELD_PATH_PATTERN.test(item))
+    ) {
+      throw new AppError(
+        `${name} must be an array of at most ${MAX_ENRICHMENT_FIELDS} field uids`,
+        400
+      );
+    }
+    return value.length > 0 ? Array.from(new Set(value)) : undefined;
+  };
+
+  return {
+    only: parseList(fields, "fields"),
+    include: parseList(includeReferences, "includeReferences"),
+  };
+}
+
+// Loads the entries behind `results` with one `$in` query per content type
+// and locale, serving what it can from the entry cache. Resolves to an array
+// aligned with `results`, holding null where an entry could not be loaded;
+// onSettled(entry, position) fires as each entry becomes available.
+async function loadEntries(results, stackApiKey, environment, options = {}) {
+  const { only, include, onSettled } = options;
+  const variant = cacheService.entryVariant({ only, include });
+  const entries = new Array(results.length).fill(null);
+  const groups = new Map();
+
+  results.forEach((result, position) => {
+    const uid = result.entryUid || result.id;
+    const cacheKey = cacheService.entryKey(
+      stackApiKey,
+      uid,
+      environment,
+      result.locale,
+      result.contentType,
+      variant
+    );
+    const cached = cacheService.entries.get(cacheKey);
+    if (cached) {
+      entries[position] = cached;
+      if (onSettled) onSettled(cached, position);
+      return;
+    }
+
+    const groupKey = `${result.contentType}|${result.locale || ""}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        contentType: result.contentType,
+        locale: result.locale || null,
+        members: [],
+      });
+    }
+    groups.get(groupKey).members.push({ uid, cacheKey, position });
+  });
+
+  await Promise.all(
+    Array.from(groups.values()).map(async ({ contentType, locale, members }) => {
+      console.log(` Fetching ${members.length} entries of ${contentType}${locale ? ` (${locale})` : ""}`);
+
+      let fetched = [];
+      try {
+        fetched = await contentstackService.fetchEntriesByUids(
+          stackApiKey,
+          contentType,
+          members.map(({ uid }) => uid),
+          environment,
+          { locale, only, include }
+        );
+      } catch (error) {
+        console.warn(`Failed to enrich ${members.length} results of ${contentType}`, {
+          error: error.message,
+        });
+      }
+
+      const byUid = new Map(fetched.map((entry) => [entry.uid, entry]));
+      for (const { uid, cacheKey, position } of members) {
+        const entry = byUid.get(uid) || null;
+        if (entry) {
+          cacheService.entries.set(cacheKey, entry);
+        } else {
+          console.warn(` No entry data returned for ${uid}`);
+        }
+        entries[position] = entry;
+        if (onSettled) onSettled(entry, position);
+      }
+    })
+  );
+
+  return entries;
+}
+
+// Collects load() calls made in the same tick into a single loadEntries()
+// batch, for callers such as GraphQL resolvers that ask one hit at a time.
+function createEntryLoader(stackApiKey, environment, options = {}) {
+  let pending = [];
+
+  return (result) =>
+    new Promise((resolve) => {
+      pending.push({ result, resolve });
+      if (pending.length > 1) return;
+
+      process.nextTick(async () => {
+        const batch = pending;
+        pending = [];
+        try {
+          const entries = await loadEntries(
+            batch.map((item) => item.result),
+            stackApiKey,
+            environment,
+            options
+          );
+          batch.forEach((item, position) => item.resolve(entries[position]));
+        } catch (error) {
+          console.warn("Failed to load entries", { error: error.message });
+          batch.forEach((item) => item.resolve(null));
+        }
+      });
+    });
+}
+
+function toEnrichedResult(result, entry) {
+  return {
+    uid: result.entryUid || result.id,
+    contentType: result.contentType,
+    similarity: result.score,
+    rerankScore: result.rerankScore,
+    score: result.score,
+    fusedScore: result.fusedScore,
+    finalScore: result.finalScore,
+    retrievers: result.retrievers,
+    queryVariants: result.queryVariants,
+    snippets: result.snippets,
+    merchandising: result.merchandising,
+    explanation: result.explanation,
+    fallbackLocale: result.fallbackLocale,
+    ...entry,
+  };
+}
+
+// options.only / options.include project fields and resolve references (see
+// parseEnrichmentOptions). options.onResult(enrichedOrNull, position) is
+// called as each entry settles, for callers that stream results out.
 async function enrichResultsWithContentstackData(
   results,
   stackApiKey,
-  environment
+  environment,
+  options = {}
 ) {
+  const { onResult, only, include } = options;
+
   if (!results || results.length === 0) {
     return [];
   }
@@ -25,52 +186,17 @@ async function enrichResultsWithContentstackData(
       ` Enriching ${results.length} results with Contentstack data...`
     );
 
-    const enrichedResults = await Promise.allSettled(
-      results.map(async (result) => {
-        try {
-          const { id: uid, contentType } = result;
-
-          console.log(` Fetching entry: ${uid} (${contentType})`);
-          console.log(
-            ` Original scores - similarity: ${result.similarity}, score: ${result.score}, rerankScore: ${result.rerankScore}`
-          );
-
-          const entry = await contentstackService.fetchEntryByUid(
-            stackApiKey,
-            contentType,
-            uid,
-            environment
-          );
-
-          if (entry && entry.entry) {
-            console.log(
-              ` Successfully enriched: ${entry.entry.title || entry.entry.name || uid}`
-            );
-
-            return {
-              uid,
-              contentType,
-              similarity: result.score,
-              rerankScore: result.rerankScore,
-              score: result.score,
-              ...entry.entry,
-            };
-          } else {
-            console.warn(` No entry data returned for ${uid}`);
-            return null;
-          }
-        } catch (error) {
-          console.warn(`Failed to enrich result ${result.id}`, {
-            error: error.message,
-          });
-          return null;
-        }
-      })
-    );
+    const entries = await loadEntries(results, stackApiKey, environment, {
+      only,
+      include,
+      onSettled: onResult
+        ? (entry, position) =>
+            onResult(entry ? toEnrichedResult(results[position], entry) : null, position)
+        : undefined,
+    });
 
-    const filteredResults = enrichedResults
-      .filter((result) => result.status === "fulfilled")
-      .map((result) => result.value)
+    const filteredResults = entries
+      .map((entry, position) => (entry ? toEnrichedResult(results[position], entry) : null))
       .filter((result) => result !== null);
 
     console.log(
@@ -85,6 +211,57 @@ async function enrichResultsWithContentstackData(
   }
 }
 
+async function attachSnippets(results, query, stackApiKey, options = {}) {
+  if (!results || results.length === 0) {
+    return results;
+  }
+
+  let fieldsById = new Map();
+  try {
+    const indexedEntries = await IndexedEntry.find({
+      stackApiKey,
+      vectorId: { $in: results.map((result) => result.id) },
+    })
+      .select("vectorId fields")
+      .lean();
+    fieldsById = new Map(
+      indexedEntries.map((entry) => [entry.vectorId, entry.fields])
+    );
+  } catch (error) {
+    console.warn("Failed to load indexed fields for snippets", {
+      error: error.message,
+    });
+  }
+
+  return results.map((result) => {
+    const fields = fieldsById.get(result.id);
+    return {
+      ...result,
+      snippets: generateSnippets(
+        fields && fields.length > 0
+          ? fields
+          : [{ name: "text", text: result.text || "" }],
+        query,
+        options
+      ),
+    };
+  });
+}
+
+// What to log for a search's results. Searches answered by a zero-result
+// fallback are logged with no results: they stay visible as content gaps,
+// never become query suggestions and do not count towards popular entries.
+function searchLogResults(results, fallback) {
+  if (fallback?.strategy) {
+    return { count: 0, entryUids: undefined };
+  }
+  return {
+    count: results.length,
+    entryUids: results.map((result) => result.entryUid || result.uid || result.id),
+  };
+}
+
+// resultEntryUids, when given, feeds the popular-entries search fallback.
 async function logSearch(
   req,
   query,
@@ -92,7 +269,8 @@ async function logSearch(
   filters,
   responseTime,
   success,
-  errorMessage = null
+  errorMessage = null,
+  resultEntryUids = undefined
 ) {
   try {
     console.log("Attempting to log search:", {
@@ -115,6 +293,7 @@ async function logSearch(
       environment: req.query.environment || "development",
       success,
       errorMessage,
+      resultEntryUids,
     });
 
     const savedLog = await searchLog.save();
@@ -133,6 +312,10 @@ async function logSearch(
 }
 
 module.exports = {
+  parseEnrichmentOptions,
+  createEntryLoader,
   enrichResultsWithContentstackData,
+  attachSnippets,
+  searchLogResults,
   logSearch,
 };
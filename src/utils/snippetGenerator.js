@@ -0,0 +1,136 @@
+const config = require("../config");
+const { tokenizeText } = require("./textCleaner");
+
+const WORD_PATTERN = /[\p{L}\p{N}_-]+/gu;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function splitIntoFragments(text, fragmentSize) {
+  const sentences = text
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .filter(Boolean);
+  const fragments = [];
+  let current = "";
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > fragmentSize) {
+      fragments.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  }
+
+  if (current) {
+    fragments.push(current);
+  }
+
+  return fragments;
+}
+
+function isMatchingWord(word, queryTerms) {
+  return tokenizeText(word).some((token) => queryTerms.has(token));
+}
+
+function scoreFragment(fragment, queryTerms) {
+  const matchedTerms = new Set();
+  let occurrences = 0;
+
+  for (const token of tokenizeText(fragment)) {
+    if (queryTerms.has(token)) {
+      matchedTerms.add(token);
+      occurrences++;
+    }
+  }
+
+  return matchedTerms.size + occurrences * 0.1;
+}
+
+// Long fragments are cut to fragmentSize around the first matching word so
+// the highlighted terms stay visible.
+function trimFragment(fragment, queryTerms, fragmentSize) {
+  if (fragment.length <= fragmentSize) {
+    return fragment;
+  }
+
+  let firstMatch = 0;
+  for (const match of fragment.matchAll(WORD_PATTERN)) {
+    if (isMatchingWord(match[0], queryTerms)) {
+      firstMatch = match.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, Math.min(firstMatch - Math.floor(fragmentSize / 4), fragment.length - fragmentSize));
+  const trimmed = fragment.substring(start, start + fragmentSize).trim();
+  return `${start > 0 ? "…" : ""}${trimmed}${start + fragmentSize < fragment.length ? "…" : ""}`;
+}
+
+function highlightFragment(fragment, queryTerms, { preTag, postTag, escape }) {
+  const encode = escape ? escapeHtml : (text) => text;
+  let highlighted = "";
+  let lastIndex = 0;
+
+  for (const match of fragment.matchAll(WORD_PATTERN)) {
+    highlighted += encode(fragment.substring(lastIndex, match.index));
+    highlighted += isMatchingWord(match[0], queryTerms)
+      ? `${preTag}${encode(match[0])}${postTag}`
+      : encode(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return highlighted + encode(fragment.substring(lastIndex));
+}
+
+function generateSnippets(fields, query, options = {}) {
+  const {
+    preTag = config.search.snippets.preTag,
+    postTag = config.search.snippets.postTag,
+    maxSnippets = config.search.snippets.maxSnippets,
+    fragmentSize = config.search.snippets.fragmentSize,
+    escapeHtml: escape = true,
+  } = options;
+
+  const queryTerms = new Set(tokenizeText(query));
+  const candidates = [];
+
+  (fields || []).forEach((field, fieldIndex) => {
+    if (!field?.text) return;
+
+    splitIntoFragments(field.text, fragmentSize).forEach((fragment, fragmentIndex) => {
+      candidates.push({
+        field: field.name,
+        fragment,
+        score: scoreFragment(fragment, queryTerms),
+        order: fieldIndex * 1000 + fragmentIndex,
+      });
+    });
+  });
+
+  const matching = candidates.filter((candidate) => candidate.score > 0);
+  // Nothing matched lexically (typical for purely semantic hits): fall back
+  // to the opening passage so the result card still has a summary.
+  const selected = (matching.length > 0 ? matching : candidates.slice(0, 1))
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, maxSnippets);
+
+  return selected.map((candidate) => ({
+    field: candidate.field,
+    text: highlightFragment(
+      trimFragment(candidate.fragment, queryTerms, fragmentSize),
+      queryTerms,
+      { preTag, postTag, escape }
+    ),
+    matched: candidate.score > 0,
+  }));
+}
+
+module.exports = {
+  generateSnippets,
+};
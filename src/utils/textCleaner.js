@@ -103,6 +103,43 @@ function extractTitleAndRTE(entry, contentType = null) {
   return parts.join(" ").trim();
 }
 
+function extractFieldTexts(entry) {
+  if (!entry || typeof entry !== "object") {
+    return [];
+  }
+
+  const fields = [];
+  const seen = new Set();
+  const addField = (name, value) => {
+    if (seen.has(name)) return;
+    const text = extractTextFromField(value);
+    if (text) {
+      seen.add(name);
+      fields.push({ name, text });
+    }
+  };
+
+  const titleField = ['title', 'name', 'heading', 'headline', 'subject']
+    .find((field) => typeof entry[field] === "string" && entry[field].trim());
+  if (titleField) {
+    addField(titleField, entry[titleField]);
+  }
+
+  const descriptionField = ['description', 'content', 'body', 'text', 'summary', 'abstract']
+    .find((field) => typeof entry[field] === "string" && entry[field].trim());
+  if (descriptionField) {
+    addField(descriptionField, entry[descriptionField]);
+  }
+
+  for (const [fieldName, fieldValue] of Object.entries(entry)) {
+    if (shouldIncludeFieldForEmbeddings(fieldName, fieldValue)) {
+      addField(fieldName, fieldValue);
+    }
+  }
+
+  return fields;
+}
+
 function extractStructuredMetadata(entry, excludeFields = new Set()) {
   if (!entry || typeof entry !== 'object') {
     return {};
@@ -124,11 +161,65 @@ function extractStructuredMetadata(entry, excludeFields = new Set()) {
   return metadata;
 }
 
+// Date fields are stored as epoch milliseconds so they can be range-filtered
+// and used for recency scoring.
+function extractDateMetadata(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return {};
+  }
+
+  const dates = {};
+  Object.keys(entry).forEach(key => {
+    const value = entry[key];
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+      const timestamp = Date.parse(value);
+      if (!Number.isNaN(timestamp)) {
+        dates[key] = timestamp;
+      }
+    }
+  });
+
+  return dates;
+}
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is",
+  "it", "of", "on", "or", "that", "the", "to", "was", "with",
+]);
+
+function tokenizeText(text = "") {
+  if (typeof text !== "string" || text.length === 0) {
+    return [];
+  }
+
+  const tokens = [];
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}_-]+/u);
+
+  for (const word of words) {
+    const trimmed = word.replace(/^[-_]+|[-_]+$/g, "");
+    if (!trimmed || STOP_WORDS.has(trimmed)) {
+      continue;
+    }
+
+    tokens.push(trimmed);
+
+    // Keep "sku-123" searchable as a whole and by its parts.
+    if (/[-_]/.test(trimmed)) {
+      tokens.push(...trimmed.split(/[-_]+/).filter(Boolean));
+    }
+  }
+
+  return tokens;
+}
 
 module.exports = {
   cleanHtml,
   extractTextFromField,
   shouldIncludeFieldForEmbeddings,
   extractTitleAndRTE,
+  extractFieldTexts,
   extractStructuredMetadata,
+  extractDateMetadata,
+  tokenizeText,
+  STOP_WORDS,
 };
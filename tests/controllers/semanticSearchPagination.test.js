@@ -0,0 +1,114 @@
+jest.mock('../../src/services/embeddingsService', () => ({
+  generateTextEmbedding: jest.fn(async () => [0.1, 0.2]),
+}));
+jest.mock('../../src/services/vectorSearchService', () => ({
+  MAX_TOP_K: 100,
+  setStackIndex: jest.fn(async () => {}),
+  search: jest.fn(),
+}));
+jest.mock('../../src/services/keywordSearchService', () => ({
+  hasDocuments: jest.fn(async () => true),
+  search: jest.fn(async () => []),
+}));
+jest.mock('../../src/services/metadataFieldService', () => ({
+  getKnownFields: jest.fn(async () => null),
+}));
+jest.mock('../../src/services/synonymService', () => ({
+  expandQuery: jest.fn(async (stackApiKey, query) => ({ expandedQuery: query, expansions: [] })),
+}));
+jest.mock('../../src/services/rerankerService', () => ({
+  rerankResults: jest.fn(),
+}));
+jest.mock('../../src/services/searchSettingsService', () => ({
+  getScoringSettings: jest.fn(async () => ({
+    recency: { enabled: false },
+    fieldBoosts: [],
+    contentTypeWeights: {},
+  })),
+}));
+jest.mock('../../src/services/merchandisingService', () => ({
+  findMatchingRules: jest.fn(async () => []),
+  applyRules: jest.fn(async (results) => ({ results, appliedRules: [] })),
+}));
+
+const vectorSearchService = require('../../src/services/vectorSearchService');
+const rerankerService = require('../../src/services/rerankerService');
+const {
+  parseSemanticSearchOptions,
+  rankSemanticSearch,
+} = require('../../src/controllers/textSearchController');
+
+const candidates = (count) =>
+  Array.from({ length: count }, (_, position) => ({
+    id: `entry_${position}`,
+    entryUid: `entry_${position}`,
+    contentType: 'article',
+    score: 1 - position / 1000,
+  }));
+
+const search = (body) =>
+  rankSemanticSearch(
+    parseSemanticSearchOptions({ spellcheck: false, fallback: false, ...body }),
+    'stack'
+  );
+
+describe('semantic search pagination', () => {
+  beforeEach(() => {
+    vectorSearchService.search.mockReset();
+    vectorSearchService.search.mockImplementation(async (embedding, topK) =>
+      candidates(Math.min(topK, 120))
+    );
+    // Reverses retrieval order, so the test notices pages sliced from
+    // anything but the reranked list.
+    rerankerService.rerankResults.mockImplementation(async (query, results) =>
+      results
+        .map((result, position) => ({ ...result, rerankScore: position / results.length }))
+        .reverse()
+    );
+  });
+
+  it('returns every candidate exactly once across consecutive pages', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const page = await search({ query: 'shoes', topK: 7, cursor });
+      seen.push(...page.page.map((result) => result.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(50);
+    expect(new Set(seen).size).toBe(50);
+    expect(seen[0]).toBe('entry_49');
+  });
+
+  it('retrieves the same candidate pool for every page', async () => {
+    const first = await search({ query: 'shoes', topK: 10 });
+    await search({ query: 'shoes', topK: 10, cursor: first.nextCursor });
+
+    const topKs = vectorSearchService.search.mock.calls.map(([, topK]) => topK);
+    expect(new Set(topKs)).toEqual(new Set([50]));
+  });
+
+  it('keeps facet requests within the vector search limit', async () => {
+    await search({ query: 'shoes', topK: 10, facets: ['contentType'] });
+
+    const [[, topK]] = vectorSearchService.search.mock.calls;
+    expect(topK).toBeLessThanOrEqual(vectorSearchService.MAX_TOP_K);
+  });
+
+  it('rejects a cursor when a ranking option changes', async () => {
+    const first = await search({ query: 'shoes', topK: 10 });
+
+    expect(() =>
+      parseSemanticSearchOptions({
+        query: 'shoes',
+        topK: 10,
+        spellcheck: false,
+        fallback: false,
+        merchandising: false,
+        cursor: first.nextCursor,
+      })
+    ).toThrow('Pagination cursor does not match this query and filters');
+  });
+});
@@ -0,0 +1,121 @@
+// The request being served. Some Node versions emit "close" on a request as
+// soon as its body has been read, while the response is still open; the vector
+// search mock reproduces that.
+let mockRequest;
+
+jest.mock('../../src/services/embeddingsService', () => ({
+  generateTextEmbedding: jest.fn(async () => [0.1, 0.2]),
+}));
+jest.mock('../../src/services/vectorSearchService', () => ({
+  MAX_TOP_K: 100,
+  setStackIndex: jest.fn(async () => {}),
+  search: jest.fn(async () => {
+    mockRequest.emit('close');
+    return [
+      { id: 'entry_a', entryUid: 'entry_a', contentType: 'article', title: 'A', score: 0.9 },
+      { id: 'entry_b', entryUid: 'entry_b', contentType: 'article', title: 'B', score: 0.8 },
+    ];
+  }),
+}));
+jest.mock('../../src/services/keywordSearchService', () => ({
+  hasDocuments: jest.fn(async () => true),
+  search: jest.fn(async () => []),
+}));
+jest.mock('../../src/services/metadataFieldService', () => ({
+  getKnownFields: jest.fn(async () => null),
+}));
+jest.mock('../../src/services/synonymService', () => ({
+  expandQuery: jest.fn(async (stackApiKey, query) => ({ expandedQuery: query, expansions: [] })),
+}));
+jest.mock('../../src/services/rerankerService', () => ({
+  rerankResults: jest.fn(async (query, results) =>
+    results.map((result) => ({ ...result, rerankScore: result.score }))
+  ),
+}));
+jest.mock('../../src/services/searchSettingsService', () => ({
+  getScoringSettings: jest.fn(async () => ({
+    recency: { enabled: false },
+    fieldBoosts: [],
+    contentTypeWeights: {},
+  })),
+}));
+jest.mock('../../src/services/merchandisingService', () => ({
+  findMatchingRules: jest.fn(async () => []),
+  applyRules: jest.fn(async (results) => ({ results, appliedRules: [] })),
+}));
+jest.mock('../../src/services/contentstackService', () => ({
+  fetchMasterLocale: jest.fn(async () => 'en-us'),
+  // entry_b is missing from Contentstack.
+  fetchEntriesByUids: jest.fn(async () => [{ uid: 'entry_a', title: 'Entry A' }]),
+}));
+jest.mock('../../src/models/SearchLog', () =>
+  jest.fn().mockImplementation((data) => ({
+    save: jest.fn(async () => ({ _id: 'log', ...data })),
+  }))
+);
+
+const express = require('express');
+const request = require('supertest');
+const { streamSemanticSearch } = require('../../src/controllers/textSearchController');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.stackApiKey = 'stack';
+    mockRequest = req;
+    next();
+  });
+  app.post('/api/search/semantic/stream', streamSemanticSearch);
+  app.use(errorHandler);
+  return app;
+};
+
+const collectBody = (res, callback) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    body += chunk;
+  });
+  res.on('end', () => callback(null, body));
+};
+
+const parseEvents = (body) =>
+  body
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', '')),
+      };
+    });
+
+describe('POST /api/search/semantic/stream', () => {
+  it('streams the skeleton, one event per result and the summary', async () => {
+    const response = await request(createApp())
+      .post('/api/search/semantic/stream')
+      .send({ query: 'shoes', topK: 2, spellcheck: false })
+      .buffer(true)
+      .parse(collectBody);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(response.body);
+    expect(events.map(({ event }) => event)).toEqual([
+      'skeleton',
+      'result',
+      'result-missing',
+      'summary',
+    ]);
+
+    const [skeleton, result, missing, summary] = events;
+    expect(skeleton.data.results.map(({ uid }) => uid)).toEqual(['entry_a', 'entry_b']);
+    expect(result.data).toMatchObject({ rank: 1, result: { uid: 'entry_a', title: 'Entry A' } });
+    expect(missing.data).toEqual({ rank: 2, uid: 'entry_b' });
+    expect(summary.data).toMatchObject({ success: true, count: 1, missing: ['entry_b'] });
+  });
+});
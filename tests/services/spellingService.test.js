@@ -0,0 +1,51 @@
+jest.mock('../../src/config', () => ({
+  search: {
+    spelling: {
+      enabled: true,
+      minWordLength: 3,
+      shortWordLength: 4,
+    },
+  },
+}));
+
+jest.mock('../../src/services/keywordSearchService', () => ({
+  getVocabulary: jest.fn(),
+}));
+
+const keywordSearchService = require('../../src/services/keywordSearchService');
+const spellingService = require('../../src/services/spellingService');
+
+// Term -> document frequency, as built by the keyword index (stop words are
+// stripped before indexing).
+const vocabulary = new Map([
+  ['shoes', 12],
+  ['form', 4],
+  ['team', 9],
+  ['their', 2],
+  ['running', 7],
+]);
+
+describe('spellingService.suggestCorrection', () => {
+  beforeEach(() => {
+    keywordSearchService.getVocabulary.mockResolvedValue(vocabulary);
+  });
+
+  it('leaves stop words alone', async () => {
+    await expect(
+      spellingService.suggestCorrection('stack', 'shoes for the team')
+    ).resolves.toBeNull();
+  });
+
+  it('corrects misspellings next to stop words', async () => {
+    await expect(
+      spellingService.suggestCorrection('stack', 'runing shoes for the team')
+    ).resolves.toEqual({
+      correctedQuery: 'running shoes for the team',
+      corrections: [{ original: 'runing', suggestion: 'running' }],
+    });
+  });
+
+  it('ignores words shorter than the minimum length', async () => {
+    await expect(spellingService.suggestCorrection('stack', 'tm shoes')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,16 @@
+// src/config refuses to load without these; tests never reach the services.
+const REQUIRED_ENV = [
+  'CONTENTSTACK_CLIENT_ID',
+  'CONTENTSTACK_CLIENT_SECRET',
+  'CONTENTSTACK_REDIRECT_URI',
+  'CONTENTSTACK_APP_UID',
+  'COHERE_API_KEY',
+  'PINECONE_API_KEY',
+  'PINECONE_INDEX_NAME',
+  'MONGO_URI',
+  'GEMINI_API_KEY',
+];
+
+REQUIRED_ENV.forEach((name) => {
+  process.env[name] = process.env[name] || 'test';
+});
@@ -0,0 +1,121 @@
+const { translateFilters } = require('../../src/utils/filterDsl');
+
+const knownFields = new Map([
+  ['category', new Set(['string'])],
+  ['price', new Set(['number'])],
+  ['published_at', new Set(['number'])],
+  ['featured', new Set(['boolean'])],
+]);
+
+const thrownBy = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('translateFilters', () => {
+  it('returns no filter for missing filters', () => {
+    expect(translateFilters(undefined)).toEqual({});
+    expect(translateFilters(null)).toEqual({});
+  });
+
+  it('reads scalars as equality and arrays as any-of', () => {
+    expect(translateFilters({ category: 'shoes', tags: ['sale', 'new'] })).toEqual({
+      category: { $eq: 'shoes' },
+      tags: { $in: ['sale', 'new'] },
+    });
+  });
+
+  it('ignores null and empty shorthand values', () => {
+    expect(translateFilters({ category: null, brand: '', tags: [], featured: false })).toEqual({
+      featured: { $eq: false },
+    });
+  });
+
+  it('translates operators with or without the $ prefix', () => {
+    expect(
+      translateFilters({
+        price: { gte: 10, $lt: 100 },
+        category: { nin: ['archive'] },
+        author: { exists: true },
+      })
+    ).toEqual({
+      price: { $gte: 10, $lt: 100 },
+      category: { $nin: ['archive'] },
+      author: { $exists: true },
+    });
+  });
+
+  it('translates ISO dates in ranges to epoch milliseconds', () => {
+    expect(translateFilters({ published_at: { gte: '2024-01-01' } })).toEqual({
+      published_at: { $gte: Date.parse('2024-01-01') },
+    });
+  });
+
+  it('translates nested and / or clauses', () => {
+    expect(
+      translateFilters({
+        or: [{ category: 'shoes' }, { and: [{ price: { lt: 50 } }, { featured: true }] }],
+      })
+    ).toEqual({
+      $or: [
+        { category: { $eq: 'shoes' } },
+        { $and: [{ price: { $lt: 50 } }, { featured: { $eq: true } }] },
+      ],
+    });
+  });
+
+  it('rejects reserved fields', () => {
+    expect(() => translateFilters({ stackApiKey: 'other' })).toThrow(
+      'Invalid filter at filters.stackApiKey: "stackApiKey" cannot be filtered on'
+    );
+  });
+
+  it('rejects unknown fields and ranges on non-numeric fields when fields are known', () => {
+    expect(() => translateFilters({ colour: 'red' }, { knownFields })).toThrow(
+      'Invalid filter at filters.colour: unknown field "colour"'
+    );
+    expect(() => translateFilters({ category: { gt: 1 } }, { knownFields })).toThrow(
+      'Invalid filter at filters.category.gt: "category" is not a numeric or date field'
+    );
+  });
+
+  it('rejects malformed operators and values with a 400', () => {
+    const cases = [
+      [{ price: { between: [1, 2] } }, 'filters.price.between: unknown operator "between"'],
+      [{ price: { gt: 'cheap' } }, 'filters.price.gt: range operators need a number or an ISO date'],
+      [{ category: { in: [] } }, 'filters.category.in: expected a non-empty array'],
+      [{ category: { eq: { nested: true } } }, 'filters.category.eq: expected a string'],
+      [{ author: { exists: 'yes' } }, 'filters.author.exists: expected true or false'],
+      [{ $not: [{ category: 'shoes' }] }, 'filters.$not: unknown logical operator "$not"'],
+      [{ or: [] }, 'filters.or: expected a non-empty array of filters'],
+    ];
+
+    for (const [filters, message] of cases) {
+      expect(thrownBy(() => translateFilters(filters))).toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining(`Invalid filter at ${message}`),
+      });
+    }
+  });
+
+  it('limits list length, nesting depth and condition count', () => {
+    const values = Array.from({ length: 101 }, (_, position) => `value_${position}`);
+    expect(() => translateFilters({ category: values })).toThrow(
+      'cannot list more than 100 values'
+    );
+
+    const nested = { and: [{ and: [{ and: [{ and: [{ category: 'shoes' }] }] }] }] };
+    expect(() => translateFilters(nested)).toThrow('cannot be nested more than 4 levels deep');
+
+    const conditions = Object.fromEntries(
+      Array.from({ length: 11 }, (_, position) => [`field_${position}`, position])
+    );
+    expect(() => translateFilters(conditions)).toThrow(
+      'Cannot apply more than 10 filter conditions'
+    );
+  });
+});
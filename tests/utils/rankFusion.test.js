@@ -0,0 +1,101 @@
+const { reciprocalRankFusion, mergeQueryVariants } = require('../../src/utils/rankFusion');
+
+const hits = (...ids) => ids.map((id, position) => ({ id, score: 1 - position / 10 }));
+
+describe('reciprocalRankFusion', () => {
+  it('sums 1 / (k + rank) over every list that found a hit', () => {
+    const [first, second, third] = reciprocalRankFusion(
+      [
+        { name: 'vector', results: hits('a', 'b') },
+        { name: 'keyword', results: hits('b', 'c') },
+      ],
+      60
+    );
+
+    expect(first).toMatchObject({ id: 'b', fusedScore: 1 / 62 + 1 / 61 });
+    expect(second).toMatchObject({ id: 'a', fusedScore: 1 / 61 });
+    expect(third).toMatchObject({ id: 'c', fusedScore: 1 / 62 });
+  });
+
+  it('scales each contribution by the list weight', () => {
+    const fused = reciprocalRankFusion(
+      [
+        { name: 'vector', results: hits('a'), weight: 1 },
+        { name: 'keyword', results: hits('b'), weight: 2 },
+      ],
+      60
+    );
+
+    expect(fused.map(({ id }) => id)).toEqual(['b', 'a']);
+    expect(fused[0].fusedScore).toBeCloseTo(2 / 61);
+  });
+
+  it('keeps the first score and records every retriever score and rank', () => {
+    const [fused] = reciprocalRankFusion([
+      { name: 'vector', results: [{ id: 'a', score: 0.8 }] },
+      { name: 'keyword', results: [{ id: 'x', score: 12 }, { id: 'a', score: 7 }] },
+    ]);
+
+    expect(fused).toEqual({
+      id: 'a',
+      score: 0.8,
+      fusedScore: expect.any(Number),
+      retrievers: ['vector', 'keyword'],
+      vectorScore: 0.8,
+      vectorRank: 1,
+      keywordScore: 7,
+      keywordRank: 2,
+    });
+  });
+
+  it('breaks ties by id', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'vector', results: hits('b') },
+      { name: 'keyword', results: hits('a') },
+    ]);
+
+    expect(fused.map(({ id }) => id)).toEqual(['a', 'b']);
+  });
+
+  it('uses the configured k by default', () => {
+    const [fused] = reciprocalRankFusion([{ name: 'vector', results: hits('a') }]);
+
+    expect(fused.fusedScore).toBeCloseTo(1 / 61);
+  });
+});
+
+describe('mergeQueryVariants', () => {
+  it('orders hits by how well every phrasing ranked them', () => {
+    const merged = mergeQueryVariants(
+      [
+        { name: 'original', results: hits('a', 'b') },
+        { name: 'translated', results: hits('b', 'c') },
+      ],
+      60
+    );
+
+    expect(merged.map(({ id }) => id)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('keeps retriever scores and records the phrasings that matched', () => {
+    const [merged] = mergeQueryVariants([
+      {
+        name: 'original',
+        results: [{ id: 'a', score: 0.9, vectorScore: 0.9, retrievers: ['vector'] }],
+      },
+      {
+        name: 'translated',
+        results: [{ id: 'a', score: 0.4, keywordScore: 3, retrievers: ['keyword'] }],
+      },
+    ]);
+
+    expect(merged).toEqual({
+      id: 'a',
+      score: 0.9,
+      vectorScore: 0.9,
+      keywordScore: 3,
+      retrievers: ['vector', 'keyword'],
+      queryVariants: ['original', 'translated'],
+    });
+  });
+});